@@ -1,38 +1,142 @@
 if (!customElements.get('added-notification')) {
+  // Further notifications wait until one of these is dismissed
+  const maxVisible = 3;
+
+  /**
+   * Gets the container notifications are stacked in, creating it if needed.
+   * @returns {Element}
+   */
+  const getStack = () => {
+    let stack = document.querySelector('.added-notification-stack');
+    if (!stack) {
+      stack = document.createElement('div');
+      stack.className = 'added-notification-stack';
+      (document.querySelector('.pageheader--sticky') || document.body).appendChild(stack);
+    }
+    return stack;
+  };
+
   const AddedNotification = class extends HTMLElement {
     connectedCallback() {
-      this.dismissOthers();
+      const stack = getStack();
+      if (this.parentElement !== stack) {
+        // Reconnects inside the stack
+        stack.appendChild(this);
+        return;
+      }
+
+      if (this.initialized) return;
+      this.initialized = true;
+      this.duration = (Number(theme.settings.addedNotificationDuration) || 6) * 1000;
+      this.remaining = this.duration;
+      this.hovered = false;
+
       this.setProductTitle(this.dataset.productTitle);
-      this.display();
+      this.renderLine(theme.cart.get());
+      this.unsubscribeFromCart = theme.cart.subscribe(this.renderLine.bind(this));
+      this.bindEvents();
+
+      if (stack.querySelectorAll('.added-notification:not(.added-notification--dismissed):not(.added-notification--queued)').length > maxVisible) {
+        this.classList.add('added-notification--queued');
+      } else {
+        this.display();
+      }
     }
 
     disconnectedCallback() {
+      if (this.parentElement) return;
       clearTimeout(this.delayedDismissTimeout);
-    }
-
-    dismissOthers() {
-      document.querySelectorAll('.added-notification').forEach((notification) => {
-        if (notification !== this) {
-          notification.dismiss();
-        }
-      });
+      if (this.unsubscribeFromCart) this.unsubscribeFromCart();
     }
 
     setProductTitle(productTitle) {
       this.querySelector('.added-notification__message-title').innerText = productTitle;
     }
 
-    display() {
-      // reveal
-      setTimeout(() => this.classList.remove('added-notification--hidden'), 10);
+    /**
+     * Finds the added line in the cart.
+     * @param {?object} cart - Cart state.
+     * @returns {?object} Line item, or null if not found.
+     */
+    findLine(cart) {
+      if (!cart) return null;
+      const { variantId, productTitle } = this.dataset;
 
-      // dismiss after a short period of time
-      this.delayedDismissTimeout = setTimeout(this.dismiss.bind(this), 6000);
+      // New lines are listed first
+      return cart.items.find((item) => (variantId
+        ? item.variant_id === Number(variantId)
+        : item.product_title === productTitle)) || null;
+    }
+
+    /**
+     * Shows the line image, variant, properties and price, and the cart subtotal.
+     * @param {?object} cart - Cart state.
+     */
+    renderLine(cart) {
+      const line = this.findLine(cart);
+      if (!line) return;
+
+      const formatMoney = (cents) => theme.formatMoney(cents, theme.settings.cartCurrencyCodeEnabled
+        ? theme.settings.moneyWithCurrencyFormat : theme.settings.moneyFormat);
+
+      const imageContainer = this.querySelector('.added-notification__image');
+      if (line.image && !imageContainer.firstElementChild) {
+        const url = new URL(line.image, window.location.href);
+        url.searchParams.set('width', 160);
+        const image = document.createElement('img');
+        image.src = url.toString();
+        image.alt = (line.featured_image && line.featured_image.alt) || line.product_title;
+        imageContainer.appendChild(image);
+        imageContainer.hidden = false;
+      }
+
+      this.setProductTitle(line.product_title);
+
+      const variant = this.querySelector('.added-notification__variant');
+      variant.textContent = line.product_has_only_default_variant ? '' : line.variant_title;
+      variant.hidden = !variant.textContent;
+
+      const properties = this.querySelector('.added-notification__properties');
+      properties.innerHTML = '';
+      Object.entries(line.properties || {}).forEach(([name, value]) => {
+        // Properties starting with an underscore are hidden
+        if (!value || name.startsWith('_')) return;
 
-      // add events to internal links
+        const property = document.createElement('li');
+        const displayValue = String(value).includes('/uploads/') ? value.split('/').pop() : value;
+        property.textContent = `${name}: ${displayValue}`;
+        properties.appendChild(property);
+      });
+      properties.hidden = !properties.children.length;
+
+      const price = this.querySelector('.added-notification__price');
+      price.textContent = formatMoney(line.final_line_price);
+      price.hidden = false;
+
+      const subtotal = this.querySelector('.added-notification__subtotal');
+      subtotal.querySelector('.theme-money').textContent = formatMoney(cart.items_subtotal_price);
+      subtotal.hidden = false;
+    }
+
+    bindEvents() {
       this.querySelector('.added-notification__close').addEventListener('click', this.dismiss.bind(this));
+
+      // Pause while the customer is reading or using the notification
+      this.addEventListener('mouseenter', () => {
+        this.hovered = true;
+        this.pause();
+      });
+      this.addEventListener('mouseleave', () => {
+        this.hovered = false;
+        if (!this.contains(document.activeElement)) this.resume();
+      });
+      this.addEventListener('focusin', this.pause.bind(this));
+      this.addEventListener('focusout', (evt) => {
+        if (!this.hovered && !this.contains(evt.relatedTarget)) this.resume();
+      });
+
       if (theme.settings.cartType === 'drawer') {
-        const cartLinks = this.querySelectorAll('.added-notification__message-text a[href$="/cart"]');
+        const cartLinks = this.querySelectorAll('.added-notification__message-text a[href$="/cart"], .added-notification__view-cart');
         cartLinks.forEach((el) => {
           el.addEventListener('click', (evt) => {
             evt.preventDefault();
@@ -41,12 +145,103 @@ if (!customElements.get('added-notification')) {
           });
         });
       }
+
+      const checkoutLink = this.querySelector('.added-notification__checkout');
+      if (checkoutLink) checkoutLink.addEventListener('click', this.handleCheckout.bind(this));
+    }
+
+    /**
+     * Goes to checkout, unless the cart needs a delivery date that hasn't been chosen, in which case
+     * the cart is shown instead.
+     * @param {object} evt - Event object.
+     */
+    async handleCheckout(evt) {
+      const checkoutLink = evt.currentTarget;
+      evt.preventDefault();
+      if (checkoutLink.classList.contains('is-loading')) return;
+      checkoutLink.classList.add('is-loading');
+
+      let datePicker = null;
+      try {
+        datePicker = await AddedNotification.getDeliveryDatePicker();
+      } catch (error) {
+        // Leave the cart page to check the date
+        window.location.href = theme.routes.cart;
+        return;
+      }
+      checkoutLink.classList.remove('is-loading');
+
+      if (!datePicker || datePicker.isValid()) {
+        window.location.href = checkoutLink.href;
+      } else if (datePicker.closest('.js-cart-drawer')) {
+        datePicker.closest('.js-cart-drawer').open(null, null, () => datePicker.reportValidity());
+        this.dismiss();
+      } else {
+        window.location.href = theme.routes.cart;
+      }
+    }
+
+    /**
+     * Gets the cart's delivery date picker, if it has one. Without a cart drawer, the cart page is
+     * fetched to find it.
+     * @returns {Promise<?Element>}
+     */
+    static async getDeliveryDatePicker() {
+      const cartDrawer = document.querySelector('.js-cart-drawer');
+      if (cartDrawer) return cartDrawer.querySelector('delivery-date-picker');
+
+      const response = await fetch(theme.routes.cart);
+      if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const datePicker = doc.querySelector('delivery-date-picker');
+      if (!datePicker) return null;
+
+      // Upgraded without being added to the page, only to check the chosen date
+      await customElements.whenDefined('delivery-date-picker');
+      return document.importNode(datePicker, true);
+    }
+
+    display() {
+      this.classList.remove('added-notification--queued');
+
+      // reveal
+      setTimeout(() => this.classList.remove('added-notification--hidden'), 10);
+
+      // dismiss after a short period of time
+      this.resume();
+    }
+
+    /**
+     * Stops the dismiss timer, keeping the time left.
+     */
+    pause() {
+      if (!this.timerStartedAt) return;
+      clearTimeout(this.delayedDismissTimeout);
+      this.remaining -= Date.now() - this.timerStartedAt;
+      this.timerStartedAt = null;
+    }
+
+    /**
+     * Starts the dismiss timer with the time left.
+     */
+    resume() {
+      if (this.timerStartedAt || this.classList.contains('added-notification--queued')
+        || this.classList.contains('added-notification--dismissed')) return;
+      this.timerStartedAt = Date.now();
+      this.delayedDismissTimeout = setTimeout(this.dismiss.bind(this), Math.max(this.remaining, 0));
     }
 
     dismiss(evt) {
       if (evt) { evt.preventDefault(); }
+      if (this.classList.contains('added-notification--dismissed')) return;
+
+      clearTimeout(this.delayedDismissTimeout);
+      this.timerStartedAt = null;
       this.classList.add('added-notification--dismissed');
       setTimeout(this.remove.bind(this), 2000);
+
+      const next = getStack().querySelector('.added-notification--queued');
+      if (next) next.display();
     }
   };
 
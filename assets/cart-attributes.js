@@ -0,0 +1,126 @@
+/* global debounce */
+if (!customElements.get('cart-attributes')) {
+  class CartAttributes extends HTMLElement {
+    constructor() {
+      super();
+      this.pending = {};
+      this.debouncedSave = debounce(this.save.bind(this), 500);
+
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.addEventListener('input', (evt) => {
+        if (evt.target.matches('input[type="text"], textarea')) this.handleChange(evt);
+      });
+    }
+
+    connectedCallback() {
+      this.restore(theme.cart.get());
+      this.unsubscribeFromCart = theme.cart.subscribe(this.restore.bind(this));
+    }
+
+    disconnectedCallback() {
+      if (this.unsubscribeFromCart) this.unsubscribeFromCart();
+    }
+
+    /**
+     * Gets the form controls bound to cart attributes, e.g. name="attributes[Gift wrap]".
+     * Hidden inputs are skipped, they only provide a default for non-JS form submission.
+     * @returns {Array<Element>}
+     */
+    getControls() {
+      return Array.from(this.querySelectorAll('[name^="attributes["]:not([type="hidden"])'));
+    }
+
+    /**
+     * Gets the cart attribute name a control is bound to.
+     * @param {Element} control - Form control.
+     * @returns {string}
+     */
+    static getAttributeName(control) {
+      return control.name.slice('attributes['.length, -1);
+    }
+
+    /**
+     * Sets the value of each control from the cart, unless the customer is editing it.
+     * @param {?object} cart - Cart state.
+     */
+    restore(cart) {
+      if (!cart) return;
+
+      this.getControls().forEach((control) => {
+        const name = CartAttributes.getAttributeName(control);
+        if (control === document.activeElement || name in this.pending) return;
+
+        const value = cart.attributes[name] || '';
+        if (control.type === 'checkbox' || control.type === 'radio') {
+          control.checked = control.value === value;
+        } else if (control.value !== value) {
+          control.value = value;
+        }
+      });
+    }
+
+    /**
+     * Queues a changed control's value to be saved.
+     * @param {object} evt - Event object.
+     */
+    handleChange(evt) {
+      const control = evt.target;
+      if (!control.name || !control.name.startsWith('attributes[')) return;
+      if (control.type === 'radio' && !control.checked) return;
+
+      let { value } = control;
+      if (control.type === 'checkbox' && !control.checked) {
+        // Saving an empty value removes the attribute
+        value = '';
+      }
+
+      this.pending[CartAttributes.getAttributeName(control)] = value;
+      this.setStatus(control, null);
+      this.debouncedSave();
+    }
+
+    /**
+     * Saves all queued attribute changes in one request.
+     */
+    save() {
+      const attributes = this.pending;
+      this.pending = {};
+      const controls = this.getControls()
+        .filter((control) => CartAttributes.getAttributeName(control) in attributes);
+
+      theme.cart.update({ attributes })
+        .then(() => {
+          controls.forEach((control) => this.setStatus(control, theme.strings.cartAttributes.saved));
+        })
+        .catch((error) => {
+          // eslint-disable-next-line no-console
+          console.log(error);
+          controls.forEach((control) => this.setStatus(control, theme.strings.cartAttributes.error, true));
+        });
+    }
+
+    /**
+     * Shows the saved or error indicator for a control.
+     * @param {Element} control - Form control.
+     * @param {?string} message - Message to show, or null to hide the indicator.
+     * @param {boolean} [isError=false] - Is this an error?
+     */
+    setStatus(control, message, isError = false) {
+      const field = control.closest('.cart-attributes__field') || this;
+      const status = field.querySelector('.cart-attributes__status');
+      if (!status) return;
+
+      clearTimeout(status.hideTimeout);
+      status.textContent = message || '';
+      status.hidden = !message;
+      status.classList.toggle('text-error-text', isError);
+      status.classList.toggle('text-success-text', !isError);
+
+      if (message && !isError) {
+        status.hideTimeout = setTimeout(() => { status.hidden = true; }, 2000);
+      }
+    }
+  }
+
+  customElements.define('cart-attributes', CartAttributes);
+}
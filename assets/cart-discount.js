@@ -0,0 +1,114 @@
+if (!customElements.get('cart-discount')) {
+  class CartDiscount extends HTMLElement {
+    constructor() {
+      super();
+      this.input = this.querySelector('.cart-discount-form__input');
+      this.button = this.querySelector('.cart-discount-form__btn');
+      this.message = this.querySelector('.cart-discount-form__message');
+
+      this.button.addEventListener('click', this.handleApply.bind(this));
+      this.input.addEventListener('keydown', (evt) => {
+        // Don't submit the cart form
+        if (evt.key === 'Enter') {
+          evt.preventDefault();
+          this.handleApply();
+        }
+      });
+
+      theme.addDelegateEventListener(this, 'click', '.cart-discount-code__remove', (evt, el) => {
+        this.removeCode(el.dataset.code);
+      });
+    }
+
+    /**
+     * Gets the discount codes currently entered on the cart.
+     * @returns {Array<string>}
+     */
+    getCodes() {
+      const cart = theme.cart.get();
+      if (cart && cart.discount_codes) {
+        return cart.discount_codes.map((discount) => discount.code);
+      }
+      return Array.from(this.querySelectorAll('.cart-discount-code__remove'), (el) => el.dataset.code);
+    }
+
+    /**
+     * Applies the entered code alongside any existing codes.
+     */
+    async handleApply() {
+      const code = this.input.value.trim();
+      if (!code) return;
+
+      const codes = this.getCodes();
+      if (codes.some((existing) => existing.toLowerCase() === code.toLowerCase())) {
+        this.showMessage(theme.strings.cartDiscount.alreadyApplied.replace('[CODE]', code), true);
+        return;
+      }
+
+      this.setLoading(true);
+      try {
+        const cart = await theme.cart.update({ discount: [...codes, code].join(',') });
+        const applied = (cart.discount_codes || []).find(
+          (discount) => discount.code.toLowerCase() === code.toLowerCase()
+        );
+
+        if (applied && applied.applicable) {
+          this.input.value = '';
+          this.showMessage(theme.strings.cartDiscount.applied.replace('[CODE]', applied.code));
+        } else {
+          // Don't leave an unusable code on the cart
+          await theme.cart.update({ discount: codes.join(',') });
+          const error = applied ? theme.strings.cartDiscount.notApplicable : theme.strings.cartDiscount.invalid;
+          this.showMessage(error.replace('[CODE]', code), true);
+        }
+      } catch (error) {
+        this.showMessage(error.message, true);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    /**
+     * Removes a code from the cart.
+     * @param {string} code - Discount code.
+     */
+    async removeCode(code) {
+      const codes = this.getCodes().filter((existing) => existing.toLowerCase() !== code.toLowerCase());
+
+      this.setLoading(true);
+      try {
+        await theme.cart.update({ discount: codes.join(',') });
+        this.showMessage(null);
+      } catch (error) {
+        this.showMessage(error.message, true);
+      } finally {
+        this.setLoading(false);
+      }
+    }
+
+    /**
+     * Shows a success or error message below the field.
+     * @param {?string} message - Message to show, or null to hide it.
+     * @param {boolean} [isError=false] - Is this an error?
+     */
+    showMessage(message, isError = false) {
+      this.message.textContent = message || '';
+      this.message.hidden = !message;
+      this.message.classList.toggle('text-error-text', isError);
+      this.message.classList.toggle('text-success-text', !isError);
+      this.input.setAttribute('aria-invalid', isError);
+    }
+
+    /**
+     * Toggles the loading state of the form.
+     * @param {boolean} loading - Is a request in progress?
+     */
+    setLoading(loading) {
+      this.button.disabled = loading;
+      this.button.classList.toggle('is-loading', loading);
+      this.classList.toggle('cart-discount-form--loading', loading);
+    }
+  }
+
+  customElements.define('cart-discount', CartDiscount);
+}
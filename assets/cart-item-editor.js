@@ -0,0 +1,230 @@
+/* global SideDrawer, trapFocus */
+
+/**
+ * Dependencies:
+ * - Custom select component
+ * - Variant picker component
+ *
+ * Required translation strings:
+ * - cartItemEditorLoadError
+ */
+
+if (!customElements.get('cart-item-editor')) {
+  // Attributes that refer to an element by id
+  const idReferenceAttributes = ['for', 'form', 'aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-activedescendant'];
+
+  class CartItemEditor extends SideDrawer {
+    connectedCallback() {
+      if (this.initialized) return;
+      this.initialized = true;
+
+      this.form = this.querySelector('.js-product-form');
+      this.variantInput = this.form.querySelector('[name="id"]');
+      this.saveBtn = this.form.querySelector('[name="add"]');
+      this.fields = this.querySelector('.cart-item-editor__fields');
+      this.productTitle = this.querySelector('.cart-item-editor__product-title');
+      this.error = this.querySelector('.cart-item-editor__error');
+
+      this.form.addEventListener('submit', this.handleSubmit.bind(this));
+    }
+
+    /**
+     * Opens the drawer with the variant picker and custom options of a cart line's product.
+     * @param {Element} listItem - The line's [data-merge-list-item] element.
+     * @param {Element} opener - Element that triggered opening of the drawer.
+     */
+    async edit(listItem, opener) {
+      const { key } = listItem.querySelector('.cart-item__quantity-input').dataset;
+      const cart = theme.cart.get();
+      const line = cart && cart.items.find((item) => item.key === key);
+      if (!line) return;
+
+      this.key = key;
+      this.line = line;
+      this.listItem = listItem;
+      this.fields.innerHTML = '';
+      this.productTitle.textContent = line.product_title;
+      this.variantInput.value = line.variant_id;
+      this.saveBtn.disabled = true;
+      this.error.hidden = true;
+      this.classList.add('is-loading');
+      this.open(opener);
+
+      try {
+        const response = await fetch(line.url);
+        if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+
+        const tmpl = document.createElement('template');
+        tmpl.innerHTML = await response.text();
+
+        // Ignore the response if another line was opened in the meantime
+        if (this.key !== key) return;
+        this.render(tmpl.content.querySelector('.js-product'));
+      } catch (error) {
+        if (this.key !== key) return;
+        this.showError(theme.strings.cartItemEditorLoadError);
+      }
+
+      this.classList.remove('is-loading');
+    }
+
+    /**
+     * Moves the price, variant picker and custom options from the product page into the drawer,
+     * filled in from the line.
+     * @param {?Element} product - Product section element from the product page.
+     */
+    render(product) {
+      if (!product) {
+        this.showError(theme.strings.cartItemEditorLoadError);
+        return;
+      }
+
+      // Prepared before being added to the page, where the components are upgraded
+      const container = document.createElement('div');
+      const price = product.querySelector('.product-info__price');
+      const picker = product.querySelector('variant-picker');
+      if (price) container.appendChild(price);
+      if (picker) {
+        // Stay on the current page when the variant changes
+        picker.dataset.updateUrl = 'false';
+        container.appendChild(picker);
+      }
+      product.querySelectorAll('.custom-option').forEach((option) => container.appendChild(option));
+
+      this.prepareFields(container);
+      this.fillProperties(container);
+
+      this.saveBtn.disabled = false;
+      this.fields.append(...container.childNodes);
+      trapFocus(this, this.fields.querySelector('input:not([type="hidden"]), textarea, button') || this);
+    }
+
+    /**
+     * Prefixes ids in the fields, so they don't clash with the product form on the page, and
+     * links custom options to the drawer's form.
+     * @param {Element} container - Element containing the fields.
+     */
+    prepareFields(container) {
+      const prefix = 'CartItemEditor-';
+      container.querySelectorAll('[id]').forEach((el) => {
+        el.setAttribute('id', `${prefix}${el.id}`);
+      });
+      idReferenceAttributes.forEach((attribute) => {
+        container.querySelectorAll(`[${attribute}]`).forEach((el) => {
+          const ids = el.getAttribute(attribute).split(' ').map((id) => `${prefix}${id}`);
+          el.setAttribute(attribute, ids.join(' '));
+        });
+      });
+      container.querySelectorAll('[form]').forEach((el) => el.setAttribute('form', this.form.id));
+    }
+
+    /**
+     * Fills in the custom options with the line's properties.
+     * @param {Element} container - Element containing the fields.
+     */
+    fillProperties(container) {
+      Object.entries(this.line.properties || {}).forEach(([name, value]) => {
+        const inputs = container.querySelectorAll(`[name="properties[${CSS.escape(name)}]"]`);
+        inputs.forEach((inputEl) => {
+          const input = inputEl;
+          if (input.type === 'radio' || input.type === 'checkbox') {
+            input.checked = input.value === value;
+          } else if (input.type !== 'hidden') {
+            input.value = value;
+          }
+
+          // Dropdowns show the value in a custom select
+          const customSelect = input.tagName === 'SELECT' ? container.querySelector(`#${CSS.escape(input.id.replace(/-native$/, ''))}`) : null;
+          if (customSelect) {
+            customSelect.querySelectorAll('.custom-select__option').forEach((option) => {
+              const selected = option.dataset.value === value;
+              option.setAttribute('aria-selected', selected);
+              if (selected) {
+                customSelect.querySelector('.custom-select__btn').firstElementChild.textContent = option.textContent.trim();
+              }
+            });
+          }
+        });
+      });
+    }
+
+    /**
+     * Replaces the line with the selected variant and options, keeping its place in the list.
+     * @param {object} evt - Event object.
+     */
+    handleSubmit(evt) {
+      evt.preventDefault();
+      if (!this.form.reportValidity()) return;
+
+      const formData = new FormData(this.form);
+      const properties = { ...this.line.properties };
+      formData.forEach((value, name) => {
+        const match = name.match(/^properties\[(.+)\]$/);
+        if (match) properties[match[1]] = value;
+      });
+
+      const item = {
+        id: Number(formData.get('id')) || this.line.variant_id,
+        quantity: this.line.quantity,
+        properties
+      };
+      if (this.line.selling_plan_allocation) {
+        item.selling_plan = this.line.selling_plan_allocation.selling_plan.id;
+      }
+
+      const { listItem } = this;
+      listItem.setAttribute('data-merge-list-replace', '');
+      listItem.classList.add('merge-item-refreshing');
+      this.saveBtn.classList.add('is-loading');
+      this.error.hidden = true;
+
+      theme.cart.replace(this.key, item)
+        .then(() => this.close())
+        .catch((error) => {
+          listItem.removeAttribute('data-merge-list-replace');
+          listItem.classList.remove('merge-item-refreshing');
+          this.showError(error.message);
+        })
+        .finally(() => {
+          this.saveBtn.classList.remove('is-loading');
+        });
+    }
+
+    /**
+     * Shows an error message in the drawer.
+     * @param {string} message - Error message.
+     */
+    showError(message) {
+      this.error.textContent = message;
+      this.error.hidden = false;
+    }
+
+    /**
+     * Closes the drawer, handing focus back to the cart drawer if it was opened from there.
+     * @param {Function} [callback] - Callback function to trigger after the close has completed
+     */
+    close(callback) {
+      super.close(callback);
+
+      const cartDrawer = document.querySelector('.js-cart-drawer');
+      if (cartDrawer && cartDrawer.hasAttribute('open')) {
+        this.overlay.classList.add('is-visible');
+        trapFocus(cartDrawer, this.opener && this.opener.isConnected ? this.opener : cartDrawer);
+      }
+    }
+  }
+
+  customElements.define('cart-item-editor', CartItemEditor);
+
+  // Edit links on cart items
+  theme.addDelegateEventListener(document, 'click', '.cart-item__edit', (evt, el) => {
+    evt.preventDefault();
+
+    let editor = document.querySelector('cart-item-editor');
+    if (!editor) {
+      editor = document.getElementById('CartItemEditor').content.firstElementChild.cloneNode(true);
+      document.body.appendChild(editor);
+    }
+    editor.edit(el.closest('[data-merge-list-item]'), el);
+  });
+}
@@ -9,14 +9,6 @@ if (!customElements.get('cart-note')) {
         this.cartNoteToggle = this.disclosure.querySelector('.js-show-note');
       }
 
-      this.fetchRequestOpts = {
-        method: 'POST',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json'
-        }
-      };
-
       this.init();
     }
 
@@ -32,8 +24,7 @@ if (!customElements.get('cart-note')) {
         if (this.cartNoteToggle.textContent !== label) this.cartNoteToggle.textContent = label;
       }
 
-      this.fetchRequestOpts.body = JSON.stringify({ note: evt.target.value });
-      fetch(theme.routes.cartUpdate, this.fetchRequestOpts);
+      theme.cart.update({ note: evt.target.value });
     }
   }
 
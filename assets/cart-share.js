@@ -0,0 +1,195 @@
+/**
+ * Required translation strings:
+ * - cartShare
+ */
+
+if (!customElements.get('cart-share')) {
+  theme.cartShare = (() => {
+    const attributeName = '_shared_cart';
+    const snapshotStorageKey = 'theme-cart-snapshot';
+    let restoring = false;
+
+    const isGift = (item) => !!(item.properties && item.properties._gift); // eslint-disable-line no-underscore-dangle
+
+    /**
+     * Gets the lines of a cart in the format used by '/cart/add.js'. Gifts are left out, as they
+     * are added by the cart itself.
+     * @param {object} cart - Cart state.
+     * @returns {Array<object>}
+     */
+    const getItems = (cart) => cart.items.filter((item) => !isGift(item)).map((item) => ({
+      id: item.variant_id,
+      quantity: item.quantity,
+      properties: item.properties || {}
+    }));
+
+    /**
+     * Gets the cart lines saved before the current page load.
+     * @returns {Array<object>}
+     */
+    const getSnapshot = () => {
+      try {
+        return JSON.parse(localStorage.getItem(snapshotStorageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    /**
+     * Saves the cart lines, so they can be restored if a shared cart replaces them.
+     * @param {?object} cart - Cart state.
+     */
+    const saveSnapshot = (cart) => {
+      if (!cart || restoring) return;
+      try {
+        localStorage.setItem(snapshotStorageKey, JSON.stringify(getItems(cart)));
+      } catch (error) {
+        // Storage unavailable, the previous cart cannot be restored
+      }
+    };
+
+    /**
+     * Decodes the lines handed off by a shared cart link.
+     * @param {string} value - Cart attribute value.
+     * @returns {?Array<object>} Lines, or null if the value is not valid.
+     */
+    const decode = (value) => {
+      try {
+        return JSON.parse(value).map(([id, quantity, properties]) => ({
+          id: Number(id),
+          quantity: Number(quantity),
+          properties: properties || {}
+        }));
+      } catch (error) {
+        return null;
+      }
+    };
+
+    /**
+     * Empties the cart and adds the given lines to it.
+     * @param {Array<object>} items - Lines, in the format used by '/cart/add.js'.
+     * @returns {Promise}
+     */
+    const replaceCart = (items) => theme.cart.update({ attributes: { [attributeName]: '' } })
+      .then(() => theme.cart.clear())
+      .then(() => (items.length ? theme.cart.add(items) : null));
+
+    /**
+     * Restores a cart opened from a shared link. The permalink has already replaced the cart on
+     * the server, so if the visitor chooses to keep their own cart, it is rebuilt from the
+     * snapshot taken on their previous page load.
+     * @param {object} cart - Cart state.
+     */
+    const restore = (cart) => {
+      const sharedItems = decode(cart.attributes[attributeName]) || getItems(cart);
+      const previousItems = getSnapshot();
+      const keepPrevious = previousItems.length > 0
+        && JSON.stringify(previousItems) !== JSON.stringify(sharedItems)
+        // eslint-disable-next-line no-alert
+        && !window.confirm(theme.strings.cartShare.replaceConfirm);
+
+      restoring = true;
+      replaceCart(keepPrevious ? previousItems : sharedItems)
+        .catch((error) => {
+          theme.showQuickPopup(error.message, document.querySelector('.cart-form') || document.body);
+        })
+        .finally(() => {
+          restoring = false;
+          saveSnapshot(theme.cart.get());
+        });
+    };
+
+    return {
+      /**
+       * Builds a link that recreates the cart, including line item properties.
+       * @param {object} cart - Cart state.
+       * @returns {string}
+       */
+      getUrl: (cart) => {
+        const items = getItems(cart);
+        const quantities = new Map();
+        items.forEach((item) => {
+          quantities.set(item.id, (quantities.get(item.id) || 0) + item.quantity);
+        });
+
+        // Permalinks only hold variants and quantities, so the lines are handed off in full too
+        const handOff = JSON.stringify(items.map((item) => (
+          Object.keys(item.properties).length
+            ? [item.id, item.quantity, item.properties]
+            : [item.id, item.quantity]
+        )));
+        const permalink = Array.from(quantities, ([id, quantity]) => `${id}:${quantity}`).join(',');
+
+        return `${window.location.origin}${theme.routes.cart}/${permalink}?storefront=true`
+          + `&attributes[${attributeName}]=${encodeURIComponent(handOff)}`;
+      },
+
+      init: () => {
+        const cart = theme.cart.get();
+        if (cart && cart.attributes && cart.attributes[attributeName]) {
+          restore(cart);
+        } else {
+          saveSnapshot(cart);
+        }
+        theme.cart.subscribe(saveSnapshot);
+      }
+    };
+  })();
+
+  theme.cartShare.init();
+
+  class CartShare extends HTMLElement {
+    constructor() {
+      super();
+      this.button = this.querySelector('.cart-share__button');
+      this.status = this.querySelector('.cart-share__status');
+      this.fallback = this.querySelector('.cart-share__url');
+      this.button.addEventListener('click', this.handleClick.bind(this));
+    }
+
+    connectedCallback() {
+      this.unsubscribeFromCart = theme.cart.subscribe(this.render.bind(this));
+      this.render(theme.cart.get());
+    }
+
+    disconnectedCallback() {
+      if (this.unsubscribeFromCart) this.unsubscribeFromCart();
+    }
+
+    /**
+     * Hides the action when there is nothing to share.
+     * @param {?object} cart - Cart state.
+     */
+    render(cart) {
+      this.hidden = !cart || !cart.items.length;
+    }
+
+    /**
+     * Copies the link to the clipboard, or shows it to be copied by hand if that is not allowed.
+     */
+    handleClick() {
+      const url = theme.cartShare.getUrl(theme.cart.get());
+      this.fallback.hidden = true;
+
+      const copy = navigator.clipboard
+        ? navigator.clipboard.writeText(url)
+        : Promise.reject(new Error('Clipboard unavailable'));
+
+      copy
+        .then(() => {
+          this.status.textContent = theme.strings.cartShare.copied;
+        })
+        .catch(() => {
+          this.status.textContent = theme.strings.cartShare.copyFailed;
+          this.fallback.value = url;
+          this.fallback.hidden = false;
+          this.fallback.select();
+        })
+        .finally(() => {
+          this.status.hidden = false;
+        });
+    }
+  }
+
+  customElements.define('cart-share', CartShare);
+}
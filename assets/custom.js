@@ -48,6 +48,10 @@
  *  13. dispatch:cart-drawer:close
  *  14. on:debounced-resize
  *  15. on:breakpoint-change
+ *  16. on:cart:before-add
+ *  17. on:cart:remove
+ *  18. on:cart:quantity-change
+ *  19. dispatch:cart:add
  *
  * -------------------------------------------------------------------------------------------------
  * 1) on:variant:change
@@ -250,6 +254,103 @@
  * });
  *
  *
+ * -------------------------------------------------------------------------------------------------
+ * 16) on:cart:before-add
+ * -------------------------------------------------------------------------------------------------
+ * Fires before variants are added to the cart through the theme's cart store (e.g. cart
+ * cross-sells, frequently bought together, 'dispatch:cart:add').
+ *
+ * The items can be changed before they are sent, or the addition can be cancelled by calling
+ * 'event.preventDefault()'.
+ *
+ * Example:
+ * document.addEventListener('on:cart:before-add', (event) => {
+ *   event.detail.items.forEach((item) => {
+ *     item.properties = { ...item.properties, Source: 'Website' };
+ *   });
+ * });
+ *
+ * Returned data:
+ *   - items: an array of items to add, e.g. [{ id: 40123456789, quantity: 1 }]
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 17) on:cart:remove
+ * -------------------------------------------------------------------------------------------------
+ * Fires when a line has been removed from the cart.
+ *
+ * How to listen:
+ * document.addEventListener('on:cart:remove', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - item: the removed line item
+ *   - previousQuantity: the quantity of the line before it was removed
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 18) on:cart:quantity-change
+ * -------------------------------------------------------------------------------------------------
+ * Fires when the quantity of a line in the cart has changed.
+ *
+ * How to listen:
+ * document.addEventListener('on:cart:quantity-change', (event) => {
+ *   // your code here
+ * });
+ *
+ * Returned data:
+ *   - item: the updated line item
+ *   - previousQuantity: the quantity before the change
+ *   - quantity: the quantity after the change
+ *
+ *
+ * -------------------------------------------------------------------------------------------------
+ * 19) dispatch:cart:add
+ * -------------------------------------------------------------------------------------------------
+ * Adds variants to the cart, then shows the cart drawer, notification or cart page as set in
+ * Theme Settings > Cart > After adding to cart. If the addition fails, 'on:cart:error' fires.
+ *
+ * How to trigger:
+ * document.dispatchEvent(new CustomEvent('dispatch:cart:add', {
+ *   detail: {
+ *     items: [{ id: 40123456789, quantity: 1 }]
+ *   }
+ * }));
+ *
+ *
+ *
+ * =================================================================================================
+ * Cart Store
+ * =================================================================================================
+ *
+ * Symmetry keeps the latest cart state (as returned by '/cart.js') in 'theme.cart'. Read cart data
+ * and make cart changes through it, so the cart drawer, cart page and header stay in sync.
+ *
+ *  - theme.cart.get(): returns the latest cart object.
+ *  - theme.cart.subscribe(callback): calls 'callback(cart, previousCart)' whenever the cart
+ *    changes, and returns a function that removes the subscription.
+ *  - theme.cart.add(items), theme.cart.change(params), theme.cart.update(params) and
+ *    theme.cart.clear(): change the cart, returning a promise that resolves with the new cart.
+ *    Line item properties passed to theme.cart.add may be files, e.g. from a file input.
+ *  - theme.cart.replace(key, item): swaps a line for another variant or different properties,
+ *    e.g. theme.cart.replace(key, { id: 123, quantity: 1, properties: {} }).
+ *  - theme.cart.refresh(): reloads the cart from the server.
+ *  - theme.cart.registerSection(sectionId, [callback]): renders the section along with every
+ *    line item or discount code change and merges it into the page, or passes its HTML to
+ *    'callback'.
+ *
+ * Cart changes are shared between open tabs. A change made in another tab updates 'theme.cart'
+ * and dispatches 'on:cart:change' with 'event.detail.remote' set to true.
+ *
+ * Example:
+ * theme.cart.subscribe((cart) => {
+ *   console.log(`The cart contains ${cart.item_count} items`);
+ * });
+ *
+ * theme.cart.add([{ id: 40123456789, quantity: 1 }]);
+ *
+ *
  *
  * =================================================================================================
  * Web Components
@@ -0,0 +1,245 @@
+if (!customElements.get('delivery-date-picker')) {
+  const dayLength = 24 * 60 * 60 * 1000;
+
+  /**
+   * Gets a date as a 'YYYY-MM-DD' string. Dates are handled as UTC midnight, so the calendar
+   * is not affected by the customer's timezone.
+   * @param {Date} date - Date.
+   * @returns {string}
+   */
+  const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+  /**
+   * Parses a 'YYYY-MM-DD' string.
+   * @param {string} key - Date string.
+   * @returns {?Date} Date, or null if invalid.
+   */
+  const fromDateKey = (key) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+    return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+  };
+
+  const addDays = (date, days) => new Date(date.getTime() + days * dayLength);
+
+  class DeliveryDatePicker extends HTMLElement {
+    constructor() {
+      super();
+      this.input = this.querySelector('input');
+      this.grid = this.querySelector('.delivery-date-picker__grid');
+      this.monthLabel = this.querySelector('.delivery-date-picker__month');
+      this.prevBtn = this.querySelector('.delivery-date-picker__nav--prev');
+      this.nextBtn = this.querySelector('.delivery-date-picker__nav--next');
+      this.selectedLabel = this.querySelector('.delivery-date-picker__selected');
+      this.error = this.querySelector('.delivery-date-picker__error');
+      this.locale = document.documentElement.lang || 'en';
+
+      this.blockedWeekdays = this.dataset.blockedWeekdays
+        ? this.dataset.blockedWeekdays.split(',').map(Number) : [];
+      this.blackoutDates = this.dataset.blackoutDates ? this.dataset.blackoutDates.split(',') : [];
+      this.calculateRange();
+
+      const selected = fromDateKey(this.input.value);
+      this.viewMonth = DeliveryDatePicker.startOfMonth(
+        selected && this.isSelectable(selected) ? selected : this.earliest
+      );
+
+      this.prevBtn.addEventListener('click', () => this.changeMonth(-1));
+      this.nextBtn.addEventListener('click', () => this.changeMonth(1));
+      theme.addDelegateEventListener(this.grid, 'click', '.delivery-date-picker__day', (evt, el) => {
+        this.select(el.dataset.date);
+      });
+      this.grid.addEventListener('keydown', this.handleKeydown.bind(this));
+
+      this.boundHandleCheckout = this.handleCheckout.bind(this);
+      this.render();
+    }
+
+    connectedCallback() {
+      // The checkout controls may be anywhere in the cart section
+      this.checkoutContainer = this.closest('.shopify-section') || document;
+      this.checkoutContainer.addEventListener('click', this.boundHandleCheckout, true);
+      this.checkoutContainer.addEventListener('submit', this.boundHandleCheckout, true);
+      this.unsubscribeFromCart = theme.cart.subscribe(this.render.bind(this));
+    }
+
+    disconnectedCallback() {
+      this.checkoutContainer.removeEventListener('click', this.boundHandleCheckout, true);
+      this.checkoutContainer.removeEventListener('submit', this.boundHandleCheckout, true);
+      if (this.unsubscribeFromCart) this.unsubscribeFromCart();
+    }
+
+    /**
+     * Calculates the first and last dates that can be chosen, using the time in the shop's timezone.
+     */
+    calculateRange() {
+      const offsetMatch = /^([+-])(\d{2})(\d{2})$/.exec(this.dataset.utcOffset || '');
+      const offsetMinutes = offsetMatch
+        ? (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3]))
+        : 0;
+      const shopNow = new Date(Date.now() + offsetMinutes * 60 * 1000);
+      const shopToday = new Date(Date.UTC(
+        shopNow.getUTCFullYear(),
+        shopNow.getUTCMonth(),
+        shopNow.getUTCDate()
+      ));
+
+      // Orders placed after the cut-off are handled the next day
+      let leadDays = Number(this.dataset.leadDays) || 0;
+      if (shopNow.getUTCHours() >= Number(this.dataset.cutoffHour)) leadDays += 1;
+
+      this.earliest = addDays(shopToday, leadDays);
+      this.latest = addDays(this.earliest, Number(this.dataset.maxDays) || 60);
+    }
+
+    /**
+     * Checks if a date can be chosen.
+     * @param {Date} date - Date.
+     * @returns {boolean}
+     */
+    isSelectable(date) {
+      return date >= this.earliest
+        && date <= this.latest
+        && !this.blockedWeekdays.includes(date.getUTCDay())
+        && !this.blackoutDates.includes(toDateKey(date));
+    }
+
+    /**
+     * Checks if the chosen date is valid. A date is always valid if one is not required.
+     * @returns {boolean}
+     */
+    isValid() {
+      const selected = fromDateKey(this.input.value);
+      if (!selected) return !this.hasAttribute('data-required');
+      return this.isSelectable(selected);
+    }
+
+    /**
+     * Renders the calendar for the current month.
+     */
+    render() {
+      const selectedKey = this.input.value;
+      const monthFormatter = new Intl.DateTimeFormat(this.locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+      const weekdayFormatter = new Intl.DateTimeFormat(this.locale, { weekday: 'narrow', timeZone: 'UTC' });
+      const dayFormatter = new Intl.DateTimeFormat(this.locale, { dateStyle: 'full', timeZone: 'UTC' });
+
+      this.monthLabel.textContent = monthFormatter.format(this.viewMonth);
+      this.prevBtn.disabled = this.viewMonth <= DeliveryDatePicker.startOfMonth(this.earliest);
+      this.nextBtn.disabled = this.viewMonth >= DeliveryDatePicker.startOfMonth(this.latest);
+
+      let html = '';
+      // 4 Jan 1970 was a Sunday
+      for (let i = 0; i < 7; i += 1) {
+        html += `<span class="delivery-date-picker__weekday" aria-hidden="true">${weekdayFormatter.format(addDays(new Date(0), 3 + i))}</span>`;
+      }
+      for (let i = 0; i < this.viewMonth.getUTCDay(); i += 1) {
+        html += '<span></span>';
+      }
+
+      let date = this.viewMonth;
+      while (date.getUTCMonth() === this.viewMonth.getUTCMonth()) {
+        const key = toDateKey(date);
+        const selectable = this.isSelectable(date);
+        html += `<button type="button" class="delivery-date-picker__day${key === selectedKey ? ' delivery-date-picker__day--selected' : ''}" data-date="${key}" aria-label="${dayFormatter.format(date)}" aria-pressed="${key === selectedKey}"${selectable ? '' : ' disabled'}>${date.getUTCDate()}</button>`;
+        date = addDays(date, 1);
+      }
+      this.grid.innerHTML = html;
+
+      const selected = fromDateKey(selectedKey);
+      this.selectedLabel.textContent = selected
+        ? theme.strings.deliveryDate.selected.replace('[DATE]', dayFormatter.format(selected)) : '';
+      if (this.isValid()) this.error.hidden = true;
+    }
+
+    /**
+     * Shows another month.
+     * @param {number} change - Number of months to move by.
+     */
+    changeMonth(change) {
+      this.viewMonth = new Date(Date.UTC(
+        this.viewMonth.getUTCFullYear(),
+        this.viewMonth.getUTCMonth() + change,
+        1
+      ));
+      this.render();
+    }
+
+    /**
+     * Chooses a date and saves it to the cart, through the parent cart-attributes element.
+     * @param {string} key - Date, as 'YYYY-MM-DD'.
+     */
+    select(key) {
+      this.input.value = key;
+      this.input.dispatchEvent(new Event('change', { bubbles: true }));
+      this.render();
+      const day = this.grid.querySelector(`[data-date="${key}"]`);
+      if (day) day.focus();
+    }
+
+    /**
+     * Moves focus between days with the arrow keys.
+     * @param {object} evt - Event object.
+     */
+    handleKeydown(evt) {
+      const moves = {
+        ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7
+      };
+      if (!(evt.key in moves) || !evt.target.dataset.date) return;
+      evt.preventDefault();
+
+      let date = fromDateKey(evt.target.dataset.date);
+      do {
+        date = addDays(date, moves[evt.key]);
+      } while (date >= this.earliest && date <= this.latest && !this.isSelectable(date));
+      if (!this.isSelectable(date)) return;
+
+      const startOfMonth = DeliveryDatePicker.startOfMonth(date);
+      if (startOfMonth.getTime() !== this.viewMonth.getTime()) {
+        this.viewMonth = startOfMonth;
+        this.render();
+      }
+      this.grid.querySelector(`[data-date="${toDateKey(date)}"]`).focus();
+    }
+
+    /**
+     * Prevents checkout until a valid date is chosen.
+     * @param {object} evt - Event object.
+     */
+    handleCheckout(evt) {
+      const isCheckout = evt.type === 'submit'
+        ? evt.submitter && evt.submitter.name === 'checkout'
+        : evt.target.closest('[name="checkout"], a[href*="/checkout"]');
+      if (!isCheckout || this.isValid()) return;
+
+      evt.preventDefault();
+      evt.stopPropagation();
+      this.reportValidity();
+    }
+
+    /**
+     * Checks if the chosen date is valid, showing why not and moving focus to the calendar if not.
+     * @returns {boolean}
+     */
+    reportValidity() {
+      if (this.isValid()) return true;
+
+      this.error.textContent = this.input.value
+        ? theme.strings.deliveryDate.unavailable : theme.strings.deliveryDate.required;
+      this.error.hidden = false;
+      theme.scrollToRevealElement(this);
+      const firstDay = this.grid.querySelector('.delivery-date-picker__day:not(:disabled)');
+      if (firstDay) firstDay.focus();
+      return false;
+    }
+
+    /**
+     * Gets the first day of the month a date is in.
+     * @param {Date} date - Date.
+     * @returns {Date}
+     */
+    static startOfMonth(date) {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+  }
+
+  customElements.define('delivery-date-picker', DeliveryDatePicker);
+}
@@ -0,0 +1,103 @@
+if (!customElements.get('free-shipping-bar')) {
+  class FreeShippingBar extends HTMLElement {
+    constructor() {
+      super();
+      this.tiers = JSON.parse(this.querySelector('[type="application/json"]').textContent)
+        .sort((a, b) => a.amount - b.amount);
+      this.message = this.querySelector('.free-shipping-bar__message');
+      this.bar = this.querySelector('.free-shipping-bar__bar');
+      this.total = Number(this.dataset.freeShippingCurrentCart);
+    }
+
+    connectedCallback() {
+      this.unsubscribeFromCart = theme.cart.subscribe(this.handleCartChange.bind(this));
+    }
+
+    disconnectedCallback() {
+      if (this.unsubscribeFromCart) this.unsubscribeFromCart();
+    }
+
+    /**
+     * Updates the bar when the cart total changes.
+     * @param {object} cart - New cart state.
+     */
+    handleCartChange(cart) {
+      this.classList.toggle('free-shipping-bar--no-cart', cart.item_count === 0);
+      if (cart.total_price === this.total) return;
+
+      const previousTotal = this.total;
+      this.total = cart.total_price;
+      this.render();
+
+      // Celebrate any tiers that have just been reached
+      const newlyReached = this.tiers.filter(
+        (tier) => tier.amount > previousTotal && tier.amount <= this.total
+      );
+      if (newlyReached.length) this.celebrate();
+    }
+
+    /**
+     * Renders the progress bar and messages for the current cart total.
+     */
+    render() {
+      const maxAmount = this.tiers[this.tiers.length - 1].amount;
+      const progress = Math.min(Math.max(this.total / maxAmount, 0), 1);
+      const nextTier = this.tiers.find((tier) => tier.amount > this.total);
+
+      this.dataset.freeShippingProgress = progress;
+      this.dataset.freeShippingCurrentCart = this.total;
+      this.style.setProperty('--free-shipping-progress', progress);
+      this.style.setProperty('--free-shipping-bar-color', nextTier ? this.dataset.barColorUnder : this.dataset.barColorMet);
+
+      let html = '';
+      this.tiers.filter((tier) => tier.amount <= this.total).forEach((tier) => {
+        const message = tier.reward
+          ? theme.strings.freeShippingBar.rewardUnlocked.replace('[REWARD]', FreeShippingBar.escape(tier.reward))
+          : theme.strings.freeShippingBar.unlocked;
+        html += `<div class="free-shipping-bar__unlocked">${message}</div>`;
+      });
+
+      if (nextTier) {
+        const amount = theme.formatMoney(nextTier.amount - this.total);
+        const message = nextTier.reward
+          ? theme.strings.freeShippingBar.rewardDeficit.replace('[REWARD]', FreeShippingBar.escape(nextTier.reward))
+          : theme.strings.freeShippingBar.deficit;
+        html += `<div class="free-shipping-bar__deficit">${message.replace('[AMOUNT]', amount)}</div>`;
+      }
+
+      this.message.innerHTML = html;
+
+      this.bar.querySelectorAll('.free-shipping-bar__marker').forEach((marker, index) => {
+        marker.classList.toggle('free-shipping-bar__marker--reached', this.tiers[index].amount <= this.total);
+      });
+    }
+
+    /**
+     * Briefly shows the celebratory state.
+     */
+    celebrate() {
+      this.classList.remove('free-shipping-bar--celebrate');
+      // Force a reflow so the animation restarts
+      this.getBoundingClientRect();
+      this.classList.add('free-shipping-bar--celebrate');
+
+      clearTimeout(this.celebrateTimeout);
+      this.celebrateTimeout = setTimeout(() => {
+        this.classList.remove('free-shipping-bar--celebrate');
+      }, 2000);
+    }
+
+    /**
+     * Escapes a merchant-entered reward name for use in HTML.
+     * @param {string} text - Text to escape.
+     * @returns {string}
+     */
+    static escape(text) {
+      const el = document.createElement('div');
+      el.textContent = text;
+      return el.innerHTML;
+    }
+  }
+
+  customElements.define('free-shipping-bar', FreeShippingBar);
+}
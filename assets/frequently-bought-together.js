@@ -0,0 +1,130 @@
+if (!customElements.get('frequently-bought-together')) {
+  class FrequentlyBoughtTogether extends HTMLElement {
+    constructor() {
+      super();
+      this.section = this.closest('.js-product');
+      this.mainCheckbox = this.querySelector('.fbt__item--main .fbt__checkbox');
+      this.addBtn = this.querySelector('.fbt__add');
+      this.error = this.querySelector('.fbt__error');
+      this.moneyFormat = theme.settings.productCurrencyCodeEnabled
+        ? theme.settings.moneyWithCurrencyFormat : theme.settings.moneyFormat;
+
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.addBtn.addEventListener('click', this.handleAdd.bind(this));
+    }
+
+    connectedCallback() {
+      if (this.section) this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      this.updateTotal();
+    }
+
+    disconnectedCallback() {
+      if (this.section) this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+    }
+
+    /**
+     * Handles 'change' events on the checkboxes and variant selects.
+     * @param {object} evt - Event object.
+     */
+    handleChange(evt) {
+      if (evt.target.matches('.fbt__variant')) {
+        const option = evt.target.selectedOptions[0];
+        const item = evt.target.closest('.fbt__item');
+        const checkbox = item.querySelector('.fbt__checkbox');
+        checkbox.dataset.variantId = option.value;
+        checkbox.dataset.price = option.dataset.price;
+        checkbox.dataset.quantity = option.dataset.quantity;
+        item.querySelector('.fbt__price').textContent = theme.formatMoney(option.dataset.price, this.moneyFormat);
+      }
+
+      this.error.hidden = true;
+      this.updateTotal();
+    }
+
+    /**
+     * Keeps the current product in step with the variant selected on the main product form.
+     * @param {object} evt - 'on:variant:change' event object.
+     */
+    handleVariantChange(evt) {
+      const { variant } = evt.detail;
+      const item = this.mainCheckbox.closest('.fbt__item');
+      const wasDisabled = this.mainCheckbox.disabled;
+
+      this.mainCheckbox.disabled = !variant || !variant.available;
+      if (this.mainCheckbox.disabled) {
+        this.mainCheckbox.checked = false;
+      } else if (wasDisabled) {
+        this.mainCheckbox.checked = true;
+      }
+
+      if (variant) {
+        this.mainCheckbox.dataset.variantId = variant.id;
+        this.mainCheckbox.dataset.price = variant.price;
+        this.mainCheckbox.dataset.quantity = variant.quantity_rule ? variant.quantity_rule.min : 1;
+        item.querySelector('.fbt__variant-title').textContent = variant.title;
+        item.querySelector('.fbt__price').textContent = theme.formatMoney(variant.price, this.moneyFormat);
+      }
+
+      this.updateTotal();
+    }
+
+    /**
+     * Gets the checked items, in the format used by '/cart/add.js'.
+     * @returns {Array<object>}
+     */
+    getSelectedItems() {
+      return Array.from(this.querySelectorAll('.fbt__checkbox:checked:not(:disabled)'))
+        .map((checkbox) => ({
+          id: Number(checkbox.dataset.variantId),
+          quantity: Number(checkbox.dataset.quantity) || 1
+        }));
+    }
+
+    /**
+     * Updates the combined price of the checked items.
+     */
+    updateTotal() {
+      let total = 0;
+      this.querySelectorAll('.fbt__checkbox:checked:not(:disabled)').forEach((checkbox) => {
+        total += Number(checkbox.dataset.price) * (Number(checkbox.dataset.quantity) || 1);
+      });
+
+      this.querySelector('.fbt__total-price').textContent = theme.formatMoney(total, this.moneyFormat);
+      this.addBtn.disabled = !this.getSelectedItems().length;
+    }
+
+    /**
+     * Adds every checked item to the cart in a single request.
+     */
+    handleAdd() {
+      const items = this.getSelectedItems();
+      if (!items.length) return;
+
+      this.addBtn.disabled = true;
+      this.addBtn.classList.add('is-loading');
+      this.error.hidden = true;
+
+      theme.cart.add(items)
+        .then((cart) => {
+          if (cart) theme.showAddedToCart(items);
+        })
+        .catch((error) => {
+          this.error.textContent = error.message;
+          this.error.hidden = false;
+          this.dispatchEvent(new CustomEvent('on:cart:error', {
+            bubbles: true,
+            detail: {
+              error: error.message
+            }
+          }));
+        })
+        .finally(() => {
+          this.addBtn.classList.remove('is-loading');
+          this.updateTotal();
+        });
+    }
+  }
+
+  customElements.define('frequently-bought-together', FrequentlyBoughtTogether);
+}
@@ -0,0 +1,173 @@
+if (!theme.giftWithPurchase) {
+  theme.giftWithPurchase = (() => {
+    const rules = JSON.parse(document.getElementById('GiftWithPurchaseJson').textContent);
+    const declinedStorageKey = 'theme-gift-declined';
+    const productTags = new Map();
+    // Variant ids that could not be added, so they are not retried on every cart change
+    const failed = new Set();
+    let lastCart = null;
+    let running = false;
+    let checkAgain = false;
+
+    /**
+     * Checks if a line item is a gift added by a rule.
+     * @param {object} item - Line item.
+     * @returns {boolean}
+     */
+    const isGift = (item) => !!(item.properties && item.properties._gift); // eslint-disable-line no-underscore-dangle
+
+    /**
+     * Gets the ids of gift variants the customer has removed from the cart this session.
+     * @returns {Array<number>}
+     */
+    const getDeclined = () => {
+      try {
+        return JSON.parse(sessionStorage.getItem(declinedStorageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    const setDeclined = (variantId, declined) => {
+      const ids = getDeclined().filter((id) => id !== variantId);
+      if (declined) ids.push(variantId);
+      try {
+        sessionStorage.setItem(declinedStorageKey, JSON.stringify(ids));
+      } catch (error) {
+        // Storage unavailable, the gift may be added again
+      }
+    };
+
+    /**
+     * Gets the tags of a product, fetching them once per page load.
+     * @param {string} handle - Product handle.
+     * @returns {Promise<Array<string>>} Lowercase tags.
+     */
+    const fetchTags = (handle) => {
+      if (!productTags.has(handle)) {
+        productTags.set(handle, fetch(`${window.Shopify.routes.root}products/${handle}.js`)
+          .then((response) => (response.ok ? response.json() : { tags: [] }))
+          .then((product) => product.tags.map((tag) => tag.toLowerCase()))
+          .catch(() => {
+            productTags.delete(handle);
+            return [];
+          }));
+      }
+      return productTags.get(handle);
+    };
+
+    /**
+     * Checks if the cart meets the conditions of a rule. Gift lines are not counted.
+     * @param {object} rule - Gift rule.
+     * @param {object} cart - Cart state.
+     * @returns {Promise<boolean>}
+     */
+    const isRuleMet = async (rule, cart) => {
+      const items = cart.items.filter((item) => !isGift(item));
+      if (!items.length) return false;
+
+      const subtotal = items.reduce((total, item) => total + item.final_line_price, 0);
+      if (rule.threshold && subtotal < rule.threshold) return false;
+
+      if (rule.tag) {
+        const tags = await Promise.all(items.map((item) => fetchTags(item.handle)));
+        return tags.some((itemTags) => itemTags.includes(rule.tag.toLowerCase()));
+      }
+      return true;
+    };
+
+    /**
+     * Adds or removes the gift for a rule, as needed.
+     * @param {object} rule - Gift rule.
+     * @param {object} cart - Cart state.
+     * @param {?object} previousCart - Cart state when last checked.
+     * @returns {Promise}
+     */
+    const applyRule = async (rule, cart, previousCart) => {
+      const giftLines = cart.items.filter((item) => isGift(item) && item.variant_id === rule.variantId);
+      const met = await isRuleMet(rule, cart);
+
+      if (!met) {
+        setDeclined(rule.variantId, false);
+        if (giftLines.length) {
+          const updates = {};
+          giftLines.forEach((item) => { updates[item.key] = 0; });
+          await theme.cart.update({ updates });
+        }
+        return;
+      }
+
+      if (giftLines.length) {
+        // Only one gift per rule
+        if (giftLines.length > 1 || giftLines[0].quantity > 1) {
+          const updates = {};
+          giftLines.forEach((item, index) => { updates[item.key] = index === 0 ? 1 : 0; });
+          await theme.cart.update({ updates });
+        }
+        return;
+      }
+
+      // Respect the customer removing the gift themselves
+      const hadGift = previousCart && previousCart.items.some(
+        (item) => isGift(item) && item.variant_id === rule.variantId
+      );
+      if (hadGift) setDeclined(rule.variantId, true);
+      if (hadGift || failed.has(rule.variantId) || getDeclined().includes(rule.variantId)) return;
+
+      try {
+        await theme.cart.add([{ id: rule.variantId, quantity: 1, properties: { _gift: 'true' } }]);
+      } catch (error) {
+        failed.add(rule.variantId);
+        throw error;
+      }
+    };
+
+    /**
+     * Checks all rules against the cart. Changes made here trigger another cart change, so
+     * checks never overlap and only run again once the current one has finished.
+     * @param {object} cart - Cart state.
+     */
+    const check = async (cart) => {
+      if (running) {
+        checkAgain = true;
+        return;
+      }
+
+      running = true;
+      const previousCart = lastCart;
+      lastCart = cart;
+      try {
+        for (let i = 0; i < rules.length; i += 1) {
+          // eslint-disable-next-line no-await-in-loop
+          await applyRule(rules[i], cart, previousCart);
+        }
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.log(error);
+      } finally {
+        running = false;
+        // Our own changes are already reflected in the latest state
+        lastCart = theme.cart.get();
+        if (checkAgain) {
+          checkAgain = false;
+          check(theme.cart.get());
+        }
+      }
+    };
+
+    document.addEventListener('on:cart:change', (evt) => {
+      if (!evt.detail || !evt.detail.cart) return;
+
+      // The tab that made the change applies the rules, so gifts are not added twice
+      if (evt.detail.remote) {
+        if (!running) lastCart = evt.detail.cart;
+        return;
+      }
+      check(evt.detail.cart);
+    });
+
+    if (theme.cart.get()) check(theme.cart.get());
+
+    return { check, isGift };
+  })();
+}
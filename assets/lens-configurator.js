@@ -0,0 +1,673 @@
+/**
+ * Dependencies:
+ * - Lens descriptions
+ * - Saved prescriptions store (optional)
+ *
+ * Required translation strings:
+ * - lensConfigurator
+ * - savedPrescriptions
+ */
+
+if (!customElements.get('lens-configurator')) {
+  class LensConfigurator extends HTMLElement {
+    constructor() {
+      super();
+      this.section = this.closest('.js-product');
+      this.form = this.section.querySelector('.js-product-form');
+      this.steps = Array.from(this.querySelectorAll('.lens-configurator__step'));
+      this.rxStep = this.getStep('prescription');
+      this.rxInputs = this.rxStep ? Array.from(this.rxStep.querySelectorAll('.lens-configurator__rx-input')) : [];
+      this.fileInput = this.querySelector('.lens-configurator__rx-file');
+      this.savedSelect = this.querySelector('.lens-configurator__saved-select');
+      this.recommendation = this.querySelector('.lens-configurator__recommendation');
+      this.addBtn = this.querySelector('.lens-configurator__add');
+      this.error = this.querySelector('.lens-configurator__error');
+
+      // Lens types are matched regardless of case
+      const rules = JSON.parse(this.querySelector('[type="application/json"]').textContent);
+      this.rules = {
+        ...rules,
+        lensTypes: Object.fromEntries(Object.entries(rules.lensTypes)
+          .map(([lensType, lensTypeRules]) => [lensType.toLowerCase(), lensTypeRules]))
+      };
+      this.moneyFormat = theme.settings.productCurrencyCodeEnabled
+        ? theme.settings.moneyWithCurrencyFormat : theme.settings.moneyFormat;
+      this.stepIndex = 0;
+
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.addEventListener('input', this.handleInput.bind(this));
+      theme.addDelegateEventListener(this, 'click', '.lens-configurator__next', this.handleNext.bind(this));
+      theme.addDelegateEventListener(this, 'click', '.lens-configurator__back', () => this.goToStep(this.getNextIndex(-1)));
+      theme.addDelegateEventListener(this, 'click', '.lens-configurator__rx-remove', this.removeFile.bind(this));
+      theme.addDelegateEventListener(this, 'click', '.lens-configurator__save-btn', this.handleSave.bind(this));
+      this.addBtn.addEventListener('click', this.handleAdd.bind(this));
+
+      // Only show progress for the steps this product has
+      this.querySelectorAll('.lens-configurator__progress-item').forEach((item) => {
+        item.toggleAttribute('hidden', !this.getStep(item.dataset.step));
+      });
+    }
+
+    connectedCallback() {
+      this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      this.hideControlledOptions();
+      this.renderDescriptions();
+      this.applyRules();
+      this.goToStep(0, false);
+
+      if (this.savedSelect && theme.savedPrescriptions) {
+        this.unsubscribeFromSaved = theme.savedPrescriptions.subscribe(this.renderSaved.bind(this));
+        this.renderSaved(theme.savedPrescriptions.getAll());
+      }
+    }
+
+    disconnectedCallback() {
+      this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+      if (this.previewUrl) URL.revokeObjectURL(this.previewUrl);
+      if (this.unsubscribeFromSaved) this.unsubscribeFromSaved();
+    }
+
+    /**
+     * Gets a step element by name.
+     * @param {string} name - Step name, e.g. 'prescription'.
+     * @returns {?Element}
+     */
+    getStep(name) {
+      return this.steps.find((step) => step.dataset.step === name) || null;
+    }
+
+    /**
+     * Gets the variant picker option selector for a product option.
+     * @param {string} optionName - Product option name.
+     * @returns {?Element}
+     */
+    getOptionSelector(optionName) {
+      return this.section.querySelector(`variant-picker .option-selector[data-option="${CSS.escape(optionName)}"]`);
+    }
+
+    /**
+     * Hides the variant picker selectors for the options chosen in the configurator.
+     */
+    hideControlledOptions() {
+      this.steps.forEach((step) => {
+        if (!step.dataset.option) return;
+        const selector = this.getOptionSelector(step.dataset.option);
+        if (selector) selector.hidden = true;
+      });
+    }
+
+    /**
+     * Describes each choice, using the same lens descriptions as the variant picker.
+     */
+    renderDescriptions() {
+      if (!theme.lensDescriptions) return;
+      this.querySelectorAll('.lens-configurator__choice-description').forEach((description) => {
+        theme.lensDescriptions.render(description, description.dataset.value);
+      });
+    }
+
+    /**
+     * Gets the value chosen in an option step.
+     * @param {Element} step - Step element.
+     * @returns {?string}
+     */
+    static getChoice(step) {
+      const input = step.querySelector('.lens-configurator__choice-input:checked');
+      return input ? input.value : null;
+    }
+
+    /**
+     * Gets the prescription rules for the chosen lens type, falling back to the defaults.
+     * @returns {{fields: Array<string>, required: Array<string>, ranges: object}}
+     */
+    getRules() {
+      const lensTypeStep = this.getStep('lens_type');
+      const lensType = lensTypeStep ? LensConfigurator.getChoice(lensTypeStep) : null;
+      const lensTypeRules = (lensType && this.rules.lensTypes[lensType.toLowerCase()]) || {};
+
+      return {
+        fields: lensTypeRules.fields || Object.keys(this.rules.fields),
+        required: lensTypeRules.required || this.rules.required,
+        ranges: { ...this.rules.fields, ...lensTypeRules.ranges }
+      };
+    }
+
+    /**
+     * Checks whether the chosen lens type needs a prescription.
+     * @returns {boolean}
+     */
+    needsPrescription() {
+      return this.getRules().fields.length > 0;
+    }
+
+    /**
+     * Gets how the prescription is given.
+     * @returns {string} 'manual' or 'upload'.
+     */
+    getRxMode() {
+      const input = this.querySelector('.lens-configurator__rx-mode-input:checked');
+      return input ? input.value : 'manual';
+    }
+
+    /**
+     * Shows the prescription fields used by the chosen lens type, with their ranges, or the upload
+     * field if the prescription is uploaded instead.
+     */
+    applyRules() {
+      if (!this.rxStep) return;
+      const { fields, required, ranges } = this.getRules();
+      const mode = this.getRxMode();
+
+      this.rxStep.querySelectorAll('[data-rx-mode]').forEach((el) => {
+        el.toggleAttribute('hidden', el.dataset.rxMode !== mode);
+      });
+      if (this.fileInput) {
+        this.fileInput.disabled = mode !== 'upload';
+        this.fileInput.required = mode === 'upload';
+      }
+
+      this.rxStep.querySelectorAll('[data-field]:not(.lens-configurator__rx-input)').forEach((el) => {
+        el.toggleAttribute('hidden', !fields.includes(el.dataset.field));
+      });
+      this.rxInputs.forEach((input) => {
+        const { field } = input.dataset;
+        const range = ranges[field];
+        input.toggleAttribute('disabled', mode !== 'manual' || !fields.includes(field));
+        input.toggleAttribute('required', required.includes(field));
+        input.setAttribute('min', range.min);
+        input.setAttribute('max', range.max);
+        input.setAttribute('step', range.step);
+      });
+
+      this.updateValidity();
+      this.updateRecommendation();
+    }
+
+    /**
+     * Gets a prescription input.
+     * @param {string} field - Field name, e.g. 'cyl'.
+     * @param {string} [eye] - 'od' or 'os', for fields entered per eye.
+     * @returns {?Element}
+     */
+    getRxInput(field, eye) {
+      return this.rxInputs.find((input) => input.dataset.field === field
+        && (!eye || input.dataset.eye === eye)) || null;
+    }
+
+    /**
+     * Requires the axis of an eye whenever it has a cylinder.
+     */
+    updateValidity() {
+      this.rxInputs.filter((input) => input.dataset.field === 'axis').forEach((axisInput) => {
+        const cylInput = this.getRxInput('cyl', axisInput.dataset.eye);
+        const needsAxis = !axisInput.disabled && cylInput && cylInput.value !== ''
+          && Number(cylInput.value) !== 0;
+        axisInput.setCustomValidity(needsAxis && axisInput.value === ''
+          ? theme.strings.lensConfigurator.axisRequired : '');
+      });
+    }
+
+    /**
+     * Gets the strongest total power entered for either eye, taken as the strongest meridian
+     * (the sphere, or the sphere plus the cylinder).
+     * @returns {number}
+     */
+    getTotalPower() {
+      return ['od', 'os'].reduce((power, eye) => {
+        const sphInput = this.getRxInput('sph', eye);
+        const cylInput = this.getRxInput('cyl', eye);
+        const sph = sphInput && !sphInput.disabled ? Number(sphInput.value) || 0 : 0;
+        const cyl = cylInput && !cylInput.disabled ? Number(cylInput.value) || 0 : 0;
+        return Math.max(power, Math.abs(sph), Math.abs(sph + cyl));
+      }, 0);
+    }
+
+    /**
+     * Recommends the high-index lenses for strong prescriptions.
+     */
+    updateRecommendation() {
+      const { highIndex } = this.rules;
+      if (!highIndex.value || !this.recommendation) return;
+
+      const recommended = this.needsPrescription() && this.getTotalPower() >= highIndex.power;
+      this.recommendation.hidden = !recommended;
+      this.querySelectorAll('.lens-configurator__choice-badge').forEach((badge) => {
+        badge.toggleAttribute('hidden', !recommended);
+      });
+    }
+
+    /**
+     * Checks the prescription entered against the rules for the chosen lens type.
+     * @returns {boolean}
+     */
+    validate() {
+      if (!this.rxStep || !this.needsPrescription()) return true;
+      this.updateValidity();
+      return this.getRxFields().every((input) => input.checkValidity());
+    }
+
+    /**
+     * Gets the prescription fields, including the upload field. Fields not in use are disabled.
+     * @returns {Array<Element>}
+     */
+    getRxFields() {
+      return this.fileInput ? [...this.rxInputs, this.fileInput] : this.rxInputs;
+    }
+
+    /**
+     * Shows the prescription step with the message of its first invalid field.
+     */
+    reportInvalidPrescription() {
+      if (this.steps[this.stepIndex] !== this.rxStep) {
+        this.goToStep(this.steps.indexOf(this.rxStep), false);
+      }
+      const input = this.getRxFields().find((el) => !el.checkValidity());
+      if (input) input.reportValidity();
+    }
+
+    /**
+     * Checks the type and size of the chosen prescription file, and previews it.
+     */
+    handleFileChange() {
+      const file = this.fileInput.files[0];
+      const maxSize = Number(this.fileInput.dataset.maxSize);
+      let message = '';
+      if (file && !this.fileInput.accept.split(',').includes(file.type)) {
+        message = theme.strings.lensConfigurator.fileType;
+      } else if (file && file.size > maxSize) {
+        message = theme.strings.lensConfigurator.fileSize.replace('[SIZE]', Math.round(maxSize / 1048576));
+      }
+
+      this.fileInput.setCustomValidity(message);
+      if (message) this.fileInput.reportValidity();
+      this.renderPreview(message ? null : file);
+    }
+
+    /**
+     * Shows a thumbnail of an uploaded image, or the name of an uploaded PDF.
+     * @param {?File} file - Chosen file, or null to clear the preview.
+     */
+    renderPreview(file) {
+      const preview = this.querySelector('.lens-configurator__rx-preview');
+      const image = preview.querySelector('.lens-configurator__rx-preview-image');
+
+      if (this.previewUrl) URL.revokeObjectURL(this.previewUrl);
+      this.previewUrl = file && file.type.startsWith('image/') ? URL.createObjectURL(file) : null;
+
+      preview.hidden = !file;
+      image.hidden = !this.previewUrl;
+      if (this.previewUrl) {
+        image.src = this.previewUrl;
+      } else {
+        image.removeAttribute('src');
+      }
+      preview.querySelector('.lens-configurator__rx-preview-name').textContent = file ? file.name : '';
+    }
+
+    /**
+     * Clears the chosen prescription file.
+     */
+    removeFile() {
+      this.fileInput.value = '';
+      this.fileInput.setCustomValidity('');
+      this.renderPreview(null);
+      this.fileInput.focus();
+    }
+
+    /**
+     * Checks whether a step is in use, given the choices made so far.
+     * @param {Element} step - Step element.
+     * @returns {boolean}
+     */
+    isStepActive(step) {
+      return step.dataset.step !== 'prescription' || this.needsPrescription();
+    }
+
+    /**
+     * Checks whether a step has been completed.
+     * @param {Element} step - Step element.
+     * @returns {boolean}
+     */
+    static isStepComplete(step) {
+      return !step.dataset.option || !!LensConfigurator.getChoice(step);
+    }
+
+    /**
+     * Gets the index of the nearest step in use in a direction.
+     * @param {number} direction - 1 for the next step, -1 for the previous step.
+     * @returns {number} Step index, or the current index if there is none.
+     */
+    getNextIndex(direction) {
+      for (let i = this.stepIndex + direction; i >= 0 && i < this.steps.length; i += direction) {
+        if (this.isStepActive(this.steps[i])) return i;
+      }
+      return this.stepIndex;
+    }
+
+    /**
+     * Shows a step.
+     * @param {number} index - Step index.
+     * @param {boolean} [focus=true] - Move focus to the step.
+     */
+    goToStep(index, focus = true) {
+      this.stepIndex = index;
+      const currentStep = this.steps[index];
+
+      this.steps.forEach((step) => {
+        step.toggleAttribute('hidden', step !== currentStep);
+      });
+      this.querySelectorAll('.lens-configurator__progress-item').forEach((item) => {
+        const stepIndex = this.steps.indexOf(this.getStep(item.dataset.step));
+        item.classList.toggle('lens-configurator__progress-item--active', stepIndex === index);
+        item.classList.toggle('lens-configurator__progress-item--complete', stepIndex < index);
+        item.classList.toggle('lens-configurator__progress-item--skipped', stepIndex > -1 && !this.isStepActive(this.steps[stepIndex]));
+      });
+
+      if (currentStep.dataset.step === 'review') this.renderSummary();
+      this.updateNav();
+      if (focus) currentStep.querySelector('.lens-configurator__step-title').focus();
+    }
+
+    /**
+     * Enables the navigation buttons of the current step.
+     */
+    updateNav() {
+      const step = this.steps[this.stepIndex];
+      const backBtn = step.querySelector('.lens-configurator__back');
+      const nextBtn = step.querySelector('.lens-configurator__next');
+      backBtn.hidden = this.getNextIndex(-1) === this.stepIndex;
+      if (nextBtn) nextBtn.disabled = !LensConfigurator.isStepComplete(step);
+    }
+
+    /**
+     * Handles clicks on the 'Next' buttons, which only leave the prescription step once it is valid.
+     */
+    handleNext() {
+      if (this.steps[this.stepIndex] === this.rxStep && !this.validate()) {
+        this.reportInvalidPrescription();
+        return;
+      }
+      this.goToStep(this.getNextIndex(1));
+    }
+
+    /**
+     * Handles 'change' events, selecting chosen options in the variant picker.
+     * @param {object} evt - Event object.
+     */
+    handleChange(evt) {
+      if (evt.target.matches('.lens-configurator__choice-input')) {
+        const step = evt.target.closest('.lens-configurator__step');
+        this.selectOption(step.dataset.option, evt.target.value);
+        if (step.dataset.step === 'lens_type') this.applyRules();
+      } else if (evt.target.matches('.lens-configurator__rx-mode-input')) {
+        this.applyRules();
+      } else if (evt.target === this.fileInput) {
+        this.handleFileChange();
+      } else if (evt.target === this.savedSelect) {
+        this.useSaved(this.savedSelect.value);
+      }
+      this.updateNav();
+    }
+
+    /**
+     * Handles 'input' events on the prescription fields.
+     * @param {object} evt - Event object.
+     */
+    handleInput(evt) {
+      if (!evt.target.matches('.lens-configurator__rx-input')) return;
+      this.updateValidity();
+      this.updateRecommendation();
+    }
+
+    /**
+     * Selects an option value in the variant picker, which updates the variant and price.
+     * @param {string} optionName - Product option name.
+     * @param {string} value - Option value.
+     */
+    selectOption(optionName, value) {
+      const selector = this.getOptionSelector(optionName);
+      if (!selector) return;
+
+      if (selector.dataset.selectorType === 'dropdown') {
+        const option = selector.querySelector(`.custom-select__option[data-value="${CSS.escape(value)}"]`);
+        if (option) selector.querySelector('custom-select').selectOption(option);
+      } else {
+        const input = selector.querySelector(`.js-option[value="${CSS.escape(value)}"]`);
+        if (input && !input.checked) {
+          input.checked = true;
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+      }
+    }
+
+    /**
+     * Lists the customer's saved prescriptions to choose from.
+     * @param {Array<object>} prescriptions - Saved prescriptions.
+     */
+    renderSaved(prescriptions) {
+      this.querySelector('.lens-configurator__saved').hidden = !prescriptions.length;
+      this.savedSelect.querySelectorAll('option:not(:first-child)').forEach((option) => option.remove());
+
+      prescriptions.forEach((prescription) => {
+        const expired = theme.savedPrescriptions.getExpiryStatus(prescription) === 'expired';
+        const option = document.createElement('option');
+        option.value = prescription.id;
+        option.textContent = expired
+          ? theme.strings.savedPrescriptions.expiredOption.replace('[NAME]', prescription.name)
+          : prescription.name;
+        this.savedSelect.appendChild(option);
+      });
+      this.savedSelect.value = this.savedId && theme.savedPrescriptions.get(this.savedId) ? this.savedId : '';
+    }
+
+    /**
+     * Fills in every prescription field from a saved prescription.
+     * @param {string} id - Saved prescription id, or an empty string for none.
+     */
+    useSaved(id) {
+      const prescription = id ? theme.savedPrescriptions.get(id) : null;
+      const warning = this.querySelector('.lens-configurator__saved-warning');
+      this.savedId = prescription ? prescription.id : null;
+      warning.textContent = prescription ? theme.savedPrescriptions.getExpiryWarning(prescription) : '';
+      warning.hidden = !warning.textContent;
+      if (!prescription) return;
+
+      const manualModeInput = this.querySelector('.lens-configurator__rx-mode-input[value="manual"]');
+      if (manualModeInput) manualModeInput.checked = true;
+      this.rxInputs.forEach((inputEl) => {
+        const input = inputEl;
+        input.value = (prescription.values && prescription.values[input.dataset.property]) || '';
+      });
+      this.querySelector('.lens-configurator__save-name').value = prescription.name;
+      this.querySelector('.lens-configurator__save-expires').value = prescription.expires || '';
+
+      this.applyRules();
+      this.updateNav();
+    }
+
+    /**
+     * Saves the prescription entered under the name given. Saving under the name of the chosen
+     * saved prescription updates it.
+     */
+    handleSave() {
+      const nameInput = this.querySelector('.lens-configurator__save-name');
+      const status = this.querySelector('.lens-configurator__save-status');
+      const saveBtn = this.querySelector('.lens-configurator__save-btn');
+      if (!this.validate()) {
+        this.reportInvalidPrescription();
+        return;
+      }
+      if (!nameInput.reportValidity()) return;
+
+      const name = nameInput.value.trim();
+      const chosen = this.savedId ? theme.savedPrescriptions.get(this.savedId) : null;
+      const values = {};
+      this.rxInputs.forEach((input) => {
+        if (!input.disabled && input.value !== '') values[input.dataset.property] = input.value;
+      });
+
+      saveBtn.classList.add('is-loading');
+      status.hidden = true;
+      theme.savedPrescriptions.save({
+        ...(chosen && chosen.name === name ? chosen : {}),
+        name,
+        expires: this.querySelector('.lens-configurator__save-expires').value,
+        values
+      })
+        .then((prescription) => {
+          this.savedId = prescription.id;
+          this.savedSelect.value = prescription.id;
+          status.textContent = theme.strings.savedPrescriptions.saved;
+        })
+        .catch(() => {
+          status.textContent = theme.strings.savedPrescriptions.saveError;
+        })
+        .finally(() => {
+          saveBtn.classList.remove('is-loading');
+          status.hidden = false;
+        });
+    }
+
+    /**
+     * Handles 'on:variant:change' events.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      this.variant = evt.detail.variant;
+      if (this.steps[this.stepIndex].dataset.step === 'review') this.renderSummary();
+    }
+
+    /**
+     * Gets the selected variant.
+     * @returns {?object}
+     */
+    getVariant() {
+      if (this.variant !== undefined) return this.variant;
+      const picker = this.section.querySelector('variant-picker');
+      return picker ? picker.variant : null;
+    }
+
+    /**
+     * Gets the prescription entered, formatted as line item properties, or the uploaded file.
+     * @returns {object}
+     */
+    getRxProperties() {
+      const properties = {};
+      if (!this.rxStep || !this.needsPrescription()) return properties;
+
+      if (this.getRxMode() === 'upload') {
+        const file = this.fileInput.files[0];
+        if (file) properties[this.fileInput.dataset.property] = file;
+        return properties;
+      }
+
+      this.rxInputs.forEach((input) => {
+        if (input.disabled || input.value === '') return;
+
+        const value = Number(input.value);
+        const { field } = input.dataset;
+        if (field === 'axis') {
+          properties[input.dataset.property] = String(Math.round(value));
+        } else if (field === 'pd') {
+          properties[input.dataset.property] = String(value);
+        } else {
+          // Powers are written with a sign and two decimals, e.g. +1.25
+          properties[input.dataset.property] = `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+        }
+      });
+      return properties;
+    }
+
+    /**
+     * Lists the choices and prescription in the review step, with the total price.
+     */
+    renderSummary() {
+      const summary = this.querySelector('.lens-configurator__summary');
+      const rows = [];
+
+      this.steps.forEach((step) => {
+        const value = step.dataset.option ? LensConfigurator.getChoice(step) : null;
+        if (value) rows.push([step.querySelector('.lens-configurator__step-title').textContent, value]);
+      });
+      Object.entries(this.getRxProperties()).forEach((row) => rows.push(row));
+
+      summary.innerHTML = '';
+      rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        row.className = 'lens-configurator__summary-row';
+        term.textContent = label;
+        description.textContent = value instanceof File ? value.name : value;
+        row.append(term, description);
+        summary.appendChild(row);
+      });
+
+      const variant = this.getVariant();
+      const price = this.querySelector('.lens-configurator__price');
+      price.textContent = variant ? theme.formatMoney(variant.price, this.moneyFormat) : '';
+
+      this.addBtn.disabled = !variant || !variant.available;
+      if (!variant) {
+        this.addBtn.textContent = theme.strings.noVariant;
+      } else {
+        this.addBtn.textContent = variant.available
+          ? this.addBtn.dataset.addToCartText : theme.strings.noStock;
+      }
+    }
+
+    /**
+     * Adds the frame and lenses to the cart in a single request, with the prescription and any
+     * custom options as line item properties. An uploaded prescription is sent as a file.
+     */
+    handleAdd() {
+      const variant = this.getVariant();
+      if (!variant) return;
+
+      if (!this.validate()) {
+        this.reportInvalidPrescription();
+        return;
+      }
+
+      const formData = this.form ? new FormData(this.form) : new FormData();
+      const properties = {};
+      formData.forEach((value, name) => {
+        const match = name.match(/^properties\[(.+)\]$/);
+        if (match && value !== '') properties[match[1]] = value;
+      });
+      Object.assign(properties, this.getRxProperties());
+
+      const items = [{
+        id: variant.id,
+        quantity: Number(formData.get('quantity')) || 1,
+        properties
+      }];
+
+      this.addBtn.disabled = true;
+      this.addBtn.classList.add('is-loading');
+      this.error.hidden = true;
+
+      theme.cart.add(items)
+        .then((cart) => {
+          if (cart) theme.showAddedToCart(items);
+        })
+        .catch((error) => {
+          this.error.textContent = error.message;
+          this.error.hidden = false;
+          this.dispatchEvent(new CustomEvent('on:cart:error', {
+            bubbles: true,
+            detail: {
+              error: error.message
+            }
+          }));
+        })
+        .finally(() => {
+          this.addBtn.classList.remove('is-loading');
+          this.addBtn.disabled = false;
+        });
+    }
+  }
+
+  customElements.define('lens-configurator', LensConfigurator);
+}
@@ -0,0 +1,72 @@
+if (!theme.lensDescriptions) {
+  theme.lensDescriptions = (() => {
+    let entries = null;
+
+    const normalize = (value) => String(value).trim().toLowerCase();
+
+    /**
+     * Gets the lens descriptions output by the 'lens-descriptions' snippet.
+     * @returns {Array<object>}
+     */
+    const getEntries = () => {
+      if (!entries) {
+        const dataEl = document.getElementById('LensDescriptionsJson');
+        entries = dataEl ? JSON.parse(dataEl.textContent) : [];
+      }
+      return entries;
+    };
+
+    /**
+     * Finds the description of an option value. Exact matches take precedence over partial ones,
+     * whatever order the descriptions are in.
+     * @param {?string} value - Option value.
+     * @returns {?object} Description, e.g. { description, icon, included: [] }.
+     */
+    const find = (value) => {
+      if (!value) return null;
+      const key = normalize(value);
+
+      return getEntries().find((entry) => (entry.values || []).some((v) => normalize(v) === key))
+        || getEntries().find((entry) => (entry.contains || []).some((v) => key.includes(normalize(v))))
+        || null;
+    };
+
+    return {
+      find,
+
+      /**
+       * Renders the description of an option value into an element, which is hidden if there is
+       * none.
+       * @param {Element} container - Element to render into.
+       * @param {?string} value - Option value.
+       */
+      render: (container, value) => {
+        const entry = find(value);
+        const template = document.getElementById('LensDescriptionTemplate');
+        container.replaceChildren();
+        container.toggleAttribute('hidden', !entry || !template);
+        if (!entry || !template) return;
+
+        const content = template.content.firstElementChild.cloneNode(true);
+        const icon = content.querySelector('.lens-description__icon');
+        const text = content.querySelector('.lens-description__text');
+        const included = content.querySelector('.lens-description__included');
+
+        if (entry.icon) {
+          icon.src = entry.icon;
+          icon.hidden = false;
+        }
+        text.textContent = entry.description || '';
+        text.hidden = !entry.description;
+        (entry.included || []).forEach((item) => {
+          const li = document.createElement('li');
+          li.textContent = item;
+          included.querySelector('.lens-description__included-list').appendChild(li);
+        });
+        included.hidden = !(entry.included && entry.included.length);
+
+        container.appendChild(content);
+      }
+    };
+  })();
+}
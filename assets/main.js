@@ -193,6 +193,21 @@ theme.mergeNodes = (newContent, targetContainer) => {
       let targetListItems = Array.from(targetList.querySelectorAll('[data-merge-list-item]'));
       const newListItems = Array.from(newList.querySelectorAll('[data-merge-list-item]'));
 
+      // replace: an item flagged with data-merge-list-replace is swapped in place for the first
+      // new item, e.g. a cart line whose variant was changed
+      const replacedItem = targetListItems.find((item) => item.hasAttribute('data-merge-list-replace'));
+      if (replacedItem) {
+        // eslint-disable-next-line max-len
+        const replacement = newListItems.find((newItem) => !targetListItems.some((item) => item.dataset.mergeListItem === newItem.dataset.mergeListItem));
+        if (replacement && !newListItems.some((item) => item.dataset.mergeListItem === replacedItem.dataset.mergeListItem)) {
+          const newItem = replacement.cloneNode(true);
+          replacedItem.replaceWith(newItem);
+          targetListItems[targetListItems.indexOf(replacedItem)] = newItem;
+        } else {
+          replacedItem.removeAttribute('data-merge-list-replace');
+        }
+      }
+
       // remove
       targetListItems.forEach((targetListItem) => {
         // eslint-disable-next-line max-len
@@ -277,6 +292,87 @@ theme.showQuickPopup = (message, origin) => {
   }, 4000);
 };
 
+/**
+ * Formats an amount of money using a Shopify money format, e.g. '${{amount}}'.
+ * Supports every format token available in the Shopify admin.
+ * @param {number|string} cents - Amount in cents (as used by Shopify for all currencies).
+ * @param {string} [format] - Shopify money format. Defaults to the shop's money format.
+ * @returns {string}
+ */
+theme.formatMoney = (cents, format = theme.settings.moneyFormat) => {
+  // [thousands separator, decimal separator, decimal places]
+  const tokens = {
+    amount: [',', '.', 2],
+    amount_no_decimals: [',', '.', 0],
+    amount_with_comma_separator: ['.', ',', 2],
+    amount_no_decimals_with_comma_separator: ['.', ',', 0],
+    amount_with_space_separator: [' ', ',', 2],
+    amount_no_decimals_with_space_separator: [' ', ',', 0],
+    amount_with_apostrophe_separator: ['\'', '.', 2],
+    amount_with_period_and_space_separator: [' ', '.', 2]
+  };
+  const value = (Number(cents) || 0) / 100;
+
+  return format.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, token) => {
+    const [thousands, decimal, decimals] = tokens[token] || tokens.amount;
+    // Intl handles rounding and digit grouping, the separators are set by the format. Shopify
+    // always groups in thousands, so the grouping locale is fixed.
+    return new Intl.NumberFormat('en-US', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).formatToParts(value).map((part) => {
+      if (part.type === 'group') return thousands;
+      if (part.type === 'decimal') return decimal;
+      return part.value;
+    }).join('');
+  });
+};
+
+/**
+ * Fits a quantity to a variant's quantity rule. The quantity is rounded to the nearest increment,
+ * then kept within the minimum and maximum.
+ * @param {number} quantity - Requested quantity.
+ * @param {object} rule - Quantity rule, e.g. { min: 1, max: null, increment: 1 }.
+ * @returns {object} The allowed quantity, and a message explaining why it was changed (or null).
+ */
+theme.applyQuantityRule = (quantity, rule) => {
+  const increment = rule.increment || 1;
+  const min = rule.min || 1;
+  let allowed = Math.max(Math.round(quantity / increment) * increment, increment);
+  let message = null;
+
+  if (allowed !== quantity) {
+    message = theme.strings.quantityRules.increment.replace('[QUANTITY]', increment);
+  }
+  if (allowed < min) {
+    allowed = min;
+    message = theme.strings.quantityRules.min.replace('[QUANTITY]', min);
+  } else if (rule.max && allowed > rule.max) {
+    allowed = rule.max;
+    message = theme.strings.quantityRules.max.replace('[QUANTITY]', rule.max);
+  }
+
+  return { quantity: allowed, message };
+};
+
+/**
+ * Gets the unit price of a variant at a quantity, using its volume pricing.
+ * @param {number} quantity - Quantity.
+ * @param {Array} priceBreaks - Price breaks, e.g. [{ minimumQuantity: 10, price: 450 }].
+ * @param {number} price - Unit price below the first break, in cents.
+ * @returns {number} Unit price, in cents.
+ */
+theme.getVolumePrice = (quantity, priceBreaks, price) => {
+  let best = null;
+  priceBreaks.forEach((priceBreak) => {
+    if (quantity >= priceBreak.minimumQuantity
+      && (!best || priceBreak.minimumQuantity > best.minimumQuantity)) {
+      best = priceBreak;
+    }
+  });
+  return best ? best.price : price;
+};
+
 theme.manuallyLoadImages = (container) => {
   container.querySelectorAll('img[data-manual-src]').forEach((el) => {
     el.src = el.dataset.manualSrc;
@@ -908,6 +1004,441 @@ class BuyButtons extends HTMLElement {
 
 customElements.define('buy-buttons', BuyButtons);
 
+/**
+ * Client-side cart store. Owns the latest '/cart.js' state and performs every cart mutation, so
+ * that each change costs a single request and all components read the same data.
+ *
+ * Mutations that alter line items dispatch 'on:cart:change' once the new state is known, followed
+ * by 'on:cart:add', 'on:cart:remove' and 'on:cart:quantity-change' for each affected line.
+ * Subscribers are notified of every state change, including note and attribute updates.
+ *
+ * Cart-dependent sections can be registered, to be rendered by the Section Rendering API as part
+ * of each line item mutation and merged into the page without further requests.
+ *
+ * Changes are shared with other open tabs, which apply them as if they were made locally.
+ */
+theme.cart = (() => {
+  const dataEl = document.getElementById('CartJson');
+  const subscribers = [];
+  const sectionHandlers = new Map();
+  const syncStorageKey = 'theme-cart-sync';
+  const tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const channel = 'BroadcastChannel' in window ? new BroadcastChannel('theme-cart') : null;
+  let state = dataEl ? JSON.parse(dataEl.textContent) : null;
+  let queue = Promise.resolve();
+  let lastSyncedAt = 0;
+
+  /**
+   * Sends the cart state to other tabs. Uses a 'storage' event where BroadcastChannel is not
+   * supported - these are only fired in other tabs.
+   * @param {object} cart - Cart state.
+   */
+  const broadcast = (cart) => {
+    const message = { sender: tabId, sentAt: Date.now(), cart };
+    lastSyncedAt = message.sentAt;
+
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      try {
+        localStorage.setItem(syncStorageKey, JSON.stringify(message));
+      } catch (error) {
+        // Storage unavailable, other tabs update when reloaded
+      }
+    }
+  };
+
+  /**
+   * Dispatches an event for each line added, removed or changed in quantity between two states.
+   * @param {object} previous - Previous cart state.
+   * @param {object} cart - New cart state.
+   */
+  const dispatchLineEvents = (previous, cart) => {
+    const dispatchEvent = (name, detail) => {
+      document.dispatchEvent(new CustomEvent(name, { bubbles: true, cancelable: false, detail }));
+    };
+
+    cart.items.forEach((item) => {
+      const previousItem = previous.items.find((prevItem) => prevItem.key === item.key);
+      if (!previousItem) {
+        // Matches the product form, which only fires this for variants new to the cart
+        if (!previous.items.some((prevItem) => prevItem.variant_id === item.variant_id)) {
+          dispatchEvent('on:cart:add', { variantId: item.variant_id });
+        }
+      } else if (previousItem.quantity !== item.quantity) {
+        dispatchEvent('on:cart:quantity-change', {
+          item,
+          previousQuantity: previousItem.quantity,
+          quantity: item.quantity
+        });
+      }
+    });
+
+    previous.items.forEach((prevItem) => {
+      if (!cart.items.some((item) => item.key === prevItem.key)) {
+        dispatchEvent('on:cart:remove', { item: prevItem, previousQuantity: prevItem.quantity });
+      }
+    });
+  };
+
+  /**
+   * Sets the current cart state and notifies subscribers.
+   * @param {object} cart - Cart object, as returned by '/cart.js'.
+   * @param {boolean} [dispatch=false] - Dispatch an 'on:cart:change' event.
+   * @param {object} [sections] - Rendered sections returned with the change, keyed by section id.
+   * @param {boolean} [remote=false] - Is this a change made in another tab?
+   * @returns {object} The new cart state.
+   */
+  const setState = (cart, dispatch = false, sections = null, remote = false) => {
+    const previous = state;
+    const { sections: cartSections, ...cartState } = cart;
+    const renderedSections = sections || cartSections || {};
+    state = cartState;
+    subscribers.forEach((callback) => callback(state, previous));
+
+    // Changes received from another tab are not sent back, to avoid echoes
+    if (!remote && JSON.stringify(state) !== JSON.stringify(previous)) broadcast(state);
+
+    Object.keys(renderedSections).forEach((sectionId) => {
+      const handler = sectionHandlers.get(sectionId);
+      if (handler && renderedSections[sectionId]) handler(renderedSections[sectionId]);
+    });
+
+    if (dispatch) {
+      document.dispatchEvent(new CustomEvent('on:cart:change', {
+        bubbles: true,
+        cancelable: false,
+        detail: { cart: state, sections: renderedSections, remote }
+      }));
+
+      // Other tabs fire these for their own changes
+      if (!remote && previous) dispatchLineEvents(previous, state);
+    }
+    return state;
+  };
+
+  /**
+   * Applies a cart change made in another tab. Out-of-date and unchanged states are ignored.
+   * @param {object} message - Message sent by broadcast().
+   */
+  const receive = (message) => {
+    if (!message || !message.cart || message.sender === tabId) return;
+    if (message.sentAt < lastSyncedAt) return;
+
+    lastSyncedAt = message.sentAt;
+    if (JSON.stringify(message.cart) === JSON.stringify(state)) return;
+    setState(message.cart, true, null, true);
+  };
+
+  if (channel) {
+    channel.addEventListener('message', (evt) => receive(evt.data));
+  } else {
+    window.addEventListener('storage', (evt) => {
+      if (evt.key !== syncStorageKey || !evt.newValue) return;
+      try {
+        receive(JSON.parse(evt.newValue));
+      } catch (error) {
+        // Ignore malformed messages
+      }
+    });
+  }
+
+  /**
+   * Adds Section Rendering API parameters for the registered sections to a request body.
+   * @param {object} body - Request body.
+   * @returns {object}
+   */
+  const withSections = (body) => {
+    if (!sectionHandlers.size) return body;
+
+    return {
+      ...body,
+      // The Section Rendering API renders at most five sections per request
+      sections: Array.from(sectionHandlers.keys()).slice(0, 5).join(','),
+      sections_url: window.location.pathname
+    };
+  };
+
+  /**
+   * Runs a cart request after any in-flight requests, so responses are applied in order.
+   * @param {Function} fn - Function returning a promise.
+   * @returns {Promise}
+   */
+  const enqueue = (fn) => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Builds a multipart '/cart/add.js' request body for a single line, so its properties can hold
+   * files.
+   * @param {object} item - Line to add, e.g. { id: 123, quantity: 1, properties: {} }.
+   * @param {object} [params] - Other request parameters.
+   * @returns {FormData}
+   */
+  const toFormData = (item, params = {}) => {
+    const formData = new FormData();
+    Object.entries({ quantity: 1, ...item, ...params }).forEach(([name, value]) => {
+      if (name === 'properties') {
+        Object.entries(value || {}).forEach(([property, propertyValue]) => {
+          formData.append(`properties[${property}]`, propertyValue);
+        });
+      } else {
+        formData.append(name, value);
+      }
+    });
+    return formData;
+  };
+
+  /**
+   * Makes a cart request and parses the JSON response.
+   * @param {string} url - Cart endpoint.
+   * @param {object|FormData} [body] - Request body, sent as JSON, or as multipart form data if a
+   *   FormData object. A GET request is made if omitted.
+   * @returns {Promise<object>}
+   */
+  const request = (url, body) => {
+    let opts = { headers: { Accept: 'application/json' } };
+    if (body instanceof FormData) {
+      opts = { ...opts, method: 'POST', body };
+    } else if (body) {
+      opts = {
+        method: 'POST',
+        body: JSON.stringify(body),
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json'
+        }
+      };
+    }
+
+    return fetch(url, opts).then((response) => response.json()
+      .catch(() => ({}))
+      .then((data) => {
+        if (!response.ok) {
+          // 422 responses describe why the change was rejected, e.g. stock limits
+          throw new Error(data.description || `HTTP error! Status: ${response.status}`);
+        }
+        return data;
+      }));
+  };
+
+  const fetchCart = () => request(`${theme.routes.cart}.js`);
+
+  /**
+   * Reloads the cart state after a change made in several requests fails part way, as the earlier
+   * requests may have changed the cart.
+   * @param {Error} error - The error the change failed with.
+   * @returns {Promise} Rejected with the error, once the state is reloaded.
+   */
+  const recover = (error) => fetchCart()
+    .then((cart) => setState(cart, true), () => {})
+    .then(() => {
+      throw error;
+    });
+
+  return {
+    /**
+     * Gets the latest known cart state.
+     * @returns {?object}
+     */
+    get: () => state,
+
+    /**
+     * Registers a callback to be called whenever the cart state changes.
+     * @param {Function} callback - Called with the new and previous cart state.
+     * @returns {Function} Function that removes the subscription.
+     */
+    subscribe: (callback) => {
+      subscribers.push(callback);
+      return () => {
+        const index = subscribers.indexOf(callback);
+        if (index > -1) subscribers.splice(index, 1);
+      };
+    },
+
+    /**
+     * Registers a section to be rendered alongside line item changes.
+     * @param {string} sectionId - Section id.
+     * @param {Function} [callback] - Called with the section HTML. By default, the HTML is merged
+     *   into the section on the page using theme.mergeNodes.
+     * @returns {Function} Function that removes the registration.
+     */
+    registerSection: (sectionId, callback) => {
+      const handler = callback || ((html) => {
+        const section = document.getElementById(`shopify-section-${sectionId}`);
+        if (!section) return;
+
+        const newContent = document.createElement('div');
+        newContent.innerHTML = html;
+        theme.mergeNodes(newContent, section);
+      });
+      sectionHandlers.set(sectionId, handler);
+      return () => {
+        if (sectionHandlers.get(sectionId) === handler) sectionHandlers.delete(sectionId);
+      };
+    },
+
+    /**
+     * Reloads the cart state from the server.
+     * @param {boolean} [dispatch=false] - Dispatch an 'on:cart:change' event.
+     * @returns {Promise<object>}
+     */
+    refresh: (dispatch = false) => enqueue(() => fetchCart().then((cart) => setState(cart, dispatch))),
+
+    /**
+     * Adds one or more variants to the cart. Dispatches a cancellable 'on:cart:before-add' event
+     * first, whose 'detail.items' listeners may change. Property values may be File objects, e.g.
+     * from a file input, in which case each line is uploaded in its own multipart request, and the
+     * cart state is reloaded if one of them fails.
+     * @param {Array} items - Items to add, e.g. [{ id: 123, quantity: 1, properties: {} }].
+     * @returns {Promise<?object>} The new cart state, or null if the addition was cancelled.
+     */
+    add: (items) => {
+      const beforeAddEvent = new CustomEvent('on:cart:before-add', {
+        bubbles: true,
+        cancelable: true,
+        detail: { items }
+      });
+      document.dispatchEvent(beforeAddEvent);
+      const addItems = beforeAddEvent.detail.items;
+      if (beforeAddEvent.defaultPrevented || !addItems.length) {
+        return Promise.resolve(null);
+      }
+
+      const hasFiles = addItems.some((item) => item.properties
+        && Object.values(item.properties).some((value) => value instanceof File));
+      if (!hasFiles) {
+        return enqueue(() => request(theme.routes.cartAdd, withSections({ items: addItems }))
+          .then((data) => fetchCart().then((cart) => setState(cart, true, data.sections))));
+      }
+
+      // Sections are rendered with the last line, once the cart is complete
+      return enqueue(() => addItems.reduce((promise, item, index) => promise.then(() => request(
+        theme.routes.cartAdd,
+        toFormData(item, index === addItems.length - 1 ? withSections({}) : {})
+      )), Promise.resolve({}))
+        .then((data) => fetchCart().then((cart) => setState(cart, true, data.sections)), recover));
+    },
+
+    /**
+     * Changes the quantity or properties of a single line.
+     * @param {object} params - '/cart/change.js' parameters, e.g. { id: key, quantity: 2 }.
+     * @returns {Promise<object>}
+     */
+    change: (params) => enqueue(() => request(theme.routes.cartChange, withSections(params))
+      .then((cart) => setState(cart, true))),
+
+    /**
+     * Replaces a line with a different variant or different properties. '/cart/change.js' can't
+     * change the variant of a line, so a new variant is added before the line is removed. The cart
+     * state is reloaded if either request fails.
+     * @param {string} key - Line item key.
+     * @param {object} item - Replacement line, e.g. { id: 123, quantity: 1, properties: {} }.
+     * @returns {Promise<object>}
+     */
+    replace: (key, item) => {
+      const line = state && state.items.find((cartItem) => cartItem.key === key);
+      if (line && line.variant_id === Number(item.id)) {
+        return enqueue(() => request(theme.routes.cartChange, withSections({
+          id: key,
+          quantity: item.quantity,
+          properties: item.properties
+        })).then((cart) => setState(cart, true)));
+      }
+
+      return enqueue(() => request(theme.routes.cartAdd, { items: [item] })
+        .then(() => request(theme.routes.cartChange, withSections({ id: key, quantity: 0 })))
+        .then((cart) => setState(cart, true), recover));
+    },
+
+    /**
+     * Updates line quantities, discount codes, the cart note or cart attributes.
+     * @param {object} params - '/cart/update.js' parameters, e.g. { updates: { [key]: 2 } }.
+     * @returns {Promise<object>}
+     */
+    update: (params) => {
+      // Only changes that affect prices need the cart to be re-rendered
+      const affectsPrices = !!params.updates || params.discount !== undefined;
+      return enqueue(() => request(
+        theme.routes.cartUpdate,
+        affectsPrices ? withSections(params) : params
+      ).then((cart) => setState(cart, affectsPrices)));
+    },
+
+    /**
+     * Removes all lines from the cart.
+     * @returns {Promise<object>}
+     */
+    clear: () => enqueue(() => request(theme.routes.cartClear, withSections({}))
+      .then((cart) => setState(cart, true)))
+  };
+})();
+
+// Keep the store in sync when the cart is changed outside of it
+document.addEventListener('on:cart:change', (evt) => {
+  if (!evt.detail || !evt.detail.cart) theme.cart.refresh();
+});
+
+/**
+ * Follows the 'After adding to cart' theme setting once items have been added through the cart
+ * store.
+ * @param {Array<object>} items - Added items, e.g. [{ id: 123, quantity: 1 }].
+ */
+theme.showAddedToCart = (items) => {
+  if (theme.settings.afterAddToCart === 'page') {
+    window.location.href = theme.routes.cart;
+    return;
+  }
+
+  if (theme.settings.afterAddToCart === 'drawer') {
+    const cartDrawer = document.querySelector('.js-cart-drawer');
+    if (cartDrawer && !cartDrawer.hasAttribute('open')) {
+      document.dispatchEvent(
+        new CustomEvent('theme:open-cart-drawer', { bubbles: true, cancelable: false })
+      );
+    }
+    return;
+  }
+
+  const template = document.getElementById('AddedNotification');
+  const cart = theme.cart.get();
+  if (theme.settings.afterAddToCart !== 'notification' || !template || !cart) return;
+
+  const line = cart.items.find((item) => item.variant_id === Number(items[0].id));
+  const notification = template.content.firstElementChild.cloneNode(true);
+  notification.dataset.variantId = items[0].id;
+  notification.dataset.productTitle = line ? line.product_title : '';
+  document.body.appendChild(notification);
+};
+
+// Lets other scripts add to the cart with the theme's usual behaviour
+document.addEventListener('dispatch:cart:add', (evt) => {
+  const items = evt.detail && evt.detail.items;
+  if (!Array.isArray(items) || !items.length) return;
+
+  theme.cart.add(items)
+    .then((cart) => {
+      if (cart) theme.showAddedToCart(items);
+    })
+    .catch((error) => {
+      document.dispatchEvent(new CustomEvent('on:cart:error', {
+        bubbles: true,
+        detail: {
+          error: error.message
+        }
+      }));
+    });
+});
+
+// Header cart count
+theme.cart.subscribe((cart) => {
+  document.querySelectorAll('.cart-link__count').forEach((el) => {
+    el.textContent = cart.item_count > 0 ? cart.item_count : '';
+  });
+});
+
 const CartForm = class extends HTMLElement {
   connectedCallback() {
     this.enableAjaxUpdate = this.dataset.ajaxUpdate;
@@ -916,10 +1447,19 @@ const CartForm = class extends HTMLElement {
       this.sectionId = this.dataset.sectionId;
       this.boundRefresh = this.refresh.bind(this);
       document.addEventListener('on:cart:change', this.boundRefresh);
+      this.unregisterSection = theme.cart.registerSection(
+        this.sectionId,
+        (html) => this.refreshFromHtml(html, false)
+      );
 
       theme.addDelegateEventListener(this, 'click', '.cart-item__remove', (evt) => {
         evt.preventDefault();
-        this.adjustItemQuantity(evt.target.closest('.cart-item'), { to: 0 });
+        this.removeItem(evt.target.closest('.cart-item'));
+      });
+
+      theme.addDelegateEventListener(this, 'click', '.cart-item-undo__btn', (evt) => {
+        evt.preventDefault();
+        this.undoRemoval(evt.target.closest('.cart-item-undo'));
       });
 
       theme.addDelegateEventListener(this, 'click', '.quantity-down', (evt) => {
@@ -941,10 +1481,18 @@ const CartForm = class extends HTMLElement {
   disconnectedCallback() {
     if (this.enableAjaxUpdate) {
       document.removeEventListener('on:cart:change', this.boundRefresh);
+      this.unregisterSection();
     }
   }
 
-  refresh() {
+  /**
+   * Re-renders the cart form after a cart change.
+   * @param {object} [evt] - 'on:cart:change' event object.
+   */
+  refresh(evt) {
+    // Already merged if this section was rendered along with the change
+    if (evt && evt.detail && evt.detail.sections && evt.detail.sections[this.sectionId]) return;
+
     this.classList.add('cart-form--refreshing');
     fetch(`${window.Shopify.routes.root}?section_id=${this.sectionId}`)
       .then((response) => {
@@ -954,11 +1502,91 @@ const CartForm = class extends HTMLElement {
         return response.text();
       })
       .then((response) => {
-        this.refreshFromHtml(response);
+        // Changes made through the cart store, here or in another tab, don't open the drawer
+        this.refreshFromHtml(response, !(evt && evt.detail && evt.detail.cart));
+      });
+  }
+
+  /**
+   * Removes an item from the cart, leaving an undo row in its place for a short time.
+   * @param {Element} item - Cart item element.
+   */
+  removeItem(item) {
+    const { key } = item.querySelector('.cart-item__quantity-input').dataset;
+    const cart = theme.cart.get();
+    const line = cart && cart.items.find((cartItem) => cartItem.key === key);
+
+    // Gifts are managed by the cart, so can't be restored
+    // eslint-disable-next-line no-underscore-dangle
+    if (line && !(line.properties && line.properties._gift)) {
+      const undoRow = document.createElement('div');
+      undoRow.className = 'cart-item-undo';
+      undoRow.innerHTML = '<span class="cart-item-undo__text" role="status"></span><button type="button" class="cart-item-undo__btn link underline"></button>';
+      undoRow.querySelector('.cart-item-undo__text').textContent = theme.strings.cartItemRemoved.replace('[TITLE]', line.product_title);
+      undoRow.querySelector('.cart-item-undo__btn').textContent = theme.strings.cartItemUndo;
+      undoRow.style.setProperty('--undo-duration', '8s');
+
+      this.removedLines = this.removedLines || new WeakMap();
+      this.removedLines.set(undoRow, {
+        id: line.variant_id,
+        quantity: line.quantity,
+        properties: line.properties || {},
+        selling_plan: line.selling_plan_allocation
+          ? line.selling_plan_allocation.selling_plan.id : undefined
+      });
+
+      item.closest('[data-merge-list-item]').insertAdjacentElement('afterend', undoRow);
+      undoRow.dismissTimeout = setTimeout(() => this.dismissUndo(undoRow), 8000);
+      this.updateUndoState();
+    }
+
+    this.adjustItemQuantity(item, { to: 0 });
+  }
+
+  /**
+   * Adds a removed line back to the cart, with its original quantity and properties.
+   * @param {Element} undoRow - Undo row element.
+   */
+  undoRemoval(undoRow) {
+    const line = this.removedLines.get(undoRow);
+    if (!line || undoRow.classList.contains('cart-item-undo--restoring')) return;
+
+    clearTimeout(undoRow.dismissTimeout);
+    undoRow.classList.add('cart-item-undo--restoring');
+    theme.cart.add([line])
+      .then(() => this.dismissUndo(undoRow))
+      .catch((error) => {
+        undoRow.classList.remove('cart-item-undo--restoring');
+        undoRow.querySelector('.cart-item-undo__text').textContent = error.message;
+        undoRow.dismissTimeout = setTimeout(() => this.dismissUndo(undoRow), 8000);
       });
   }
 
-  refreshFromHtml(html) {
+  /**
+   * Collapses and removes an undo row.
+   * @param {Element} undoRow - Undo row element.
+   */
+  dismissUndo(undoRow) {
+    clearTimeout(undoRow.dismissTimeout);
+    if (!undoRow.isConnected || undoRow.classList.contains('merge-remove-item')) return;
+
+    theme.hideAndRemove(undoRow);
+    this.updateUndoState();
+  }
+
+  /**
+   * Keeps the cart contents visible while undo rows are shown, even if the cart is now empty.
+   */
+  updateUndoState() {
+    this.classList.toggle('cart-form--has-undo', !!this.querySelector('.cart-item-undo:not(.merge-remove-item)'));
+  }
+
+  /**
+   * Merges freshly rendered cart section HTML into the cart form.
+   * @param {string} html - Whole-section HTML.
+   * @param {boolean} [openDrawer=true] - Open the cart drawer, if set to after adding to cart.
+   */
+  refreshFromHtml(html, openDrawer = true) {
     const frag = document.createDocumentFragment();
     const newContent = document.createElement('div');
     frag.appendChild(newContent);
@@ -975,7 +1603,7 @@ const CartForm = class extends HTMLElement {
       new CustomEvent('on:cart:after-merge', { bubbles: true, cancelable: false })
     );
 
-    if (theme.settings.afterAddToCart === 'drawer' && this.closest('.drawer') && !this.closest('.drawer').hasAttribute('open')) {
+    if (openDrawer && theme.settings.afterAddToCart === 'drawer' && this.closest('.drawer') && !this.closest('.drawer').hasAttribute('open')) {
       document.dispatchEvent(
         new CustomEvent('theme:open-cart-drawer', { bubbles: true, cancelable: false })
       );
@@ -984,49 +1612,49 @@ const CartForm = class extends HTMLElement {
 
   adjustItemQuantity(item, change) {
     const quantityInput = item.querySelector('.cart-item__quantity-input');
+    const rule = {
+      min: parseInt(quantityInput.dataset.min, 10) || 1,
+      max: parseInt(quantityInput.dataset.ruleMax, 10) || null,
+      increment: parseInt(quantityInput.step, 10) || 1
+    };
 
-    let newQuantity = parseInt(quantityInput.value, 10);
+    let newQuantity = parseInt(quantityInput.value, 10) || 0;
     if (typeof change.to !== 'undefined') {
       newQuantity = change.to;
-      quantityInput.value = newQuantity;
     } else if (change.increase) {
-      newQuantity += quantityInput.step || 1;
-      quantityInput.value = newQuantity;
+      newQuantity += rule.increment;
     } else if (change.decrease) {
-      newQuantity -= quantityInput.step || 1;
-      quantityInput.value = newQuantity;
-    } else if (change.currentValue) ;
+      newQuantity -= rule.increment;
+    }
+
+    // A quantity of 0 removes the line, unless stepping down from the minimum
+    if (newQuantity > 0 || (change.decrease && rule.min > 1)) {
+      const result = theme.applyQuantityRule(newQuantity, rule);
+      newQuantity = result.quantity;
+      if (result.message) theme.showQuickPopup(result.message, quantityInput);
+    }
 
-    if (quantityInput.max && parseInt(quantityInput.value, 10) > parseInt(quantityInput.max, 10)) {
-      newQuantity = quantityInput.max;
-      quantityInput.value = newQuantity;
+    if (quantityInput.max && newQuantity > parseInt(quantityInput.max, 10)) {
+      newQuantity = parseInt(quantityInput.max, 10);
       theme.showQuickPopup(theme.strings.cartItemsQuantityError.replace('[QUANTITY]', quantityInput.max), quantityInput);
     }
+    quantityInput.value = newQuantity;
+
+    CartForm.setItemError(item, null);
+    this.updateOptimisticTotals();
 
     clearTimeout(this.adjustItemQuantityTimeout);
     this.adjustItemQuantityTimeout = setTimeout(() => {
       const updateParam = { updates: {} };
+      const changedItems = [];
       this.querySelectorAll('.cart-item__quantity-input:not([disabled])').forEach((el) => {
         updateParam.updates[el.dataset.key] = el.value;
         if (el.value !== el.dataset.initialValue) {
           el.closest('[data-merge-list-item]').classList.add('merge-item-refreshing');
+          changedItems.push(el.closest('.cart-item'));
         }
       });
-      fetch(theme.routes.cartUpdate, {
-        method: 'POST',
-        body: JSON.stringify(updateParam),
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      })
-        .then((response) => {
-          if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
-          }
-          document.dispatchEvent(
-            new CustomEvent('on:cart:change', { bubbles: true, cancelable: false })
-          );
-        })
+      theme.cart.update(updateParam)
         .catch((error) => {
           // eslint-disable-next-line no-console
           console.log(error.message);
@@ -1036,43 +1664,207 @@ const CartForm = class extends HTMLElement {
               error: error.message
             }
           }));
-          // Uncertainty... Reload page.
-          window.location.reload();
+          this.rollbackQuantities(changedItems, error.message);
         });
     }, newQuantity === 0 ? 10 : 700);
   }
+
+  /**
+   * Updates line totals and the subtotal to reflect the quantities currently entered, ahead of
+   * the server confirming the change. Totals with no pending change show their original markup.
+   */
+  updateOptimisticTotals() {
+    this.originalTotalsHtml = this.originalTotalsHtml || new WeakMap();
+    const setTotal = (el, cents, changed) => {
+      if (!this.originalTotalsHtml.has(el)) this.originalTotalsHtml.set(el, el.innerHTML);
+      el.innerHTML = changed ? CartForm.formatMoney(cents) : this.originalTotalsHtml.get(el);
+    };
+
+    let subtotalDelta = 0;
+    this.querySelectorAll('.cart-item').forEach((item) => {
+      const input = item.querySelector('.cart-item__quantity-input');
+      if (!input || !input.dataset.unitPrice) return;
+
+      const initialQuantity = parseInt(input.dataset.initialValue, 10);
+      const initialUnitPrice = parseInt(input.dataset.unitPrice, 10);
+      const quantity = parseInt(input.value, 10) || 0;
+      let unitPrice = initialUnitPrice;
+
+      if (input.dataset.priceBreaks) {
+        // Follow the volume pricing, keeping any discount on the unit price
+        const priceBreaks = JSON.parse(input.dataset.priceBreaks);
+        const price = parseInt(input.dataset.price, 10);
+        unitPrice += theme.getVolumePrice(quantity, priceBreaks, price)
+          - theme.getVolumePrice(initialQuantity, priceBreaks, price);
+      }
+
+      subtotalDelta += unitPrice * quantity - initialUnitPrice * initialQuantity;
+
+      const unitTotal = item.querySelector('.cart-item__selling-price');
+      if (unitTotal) setTotal(unitTotal, unitPrice, unitPrice !== initialUnitPrice && quantity > 0);
+
+      const lineTotal = item.querySelector('.cart-item__selling-total');
+      if (lineTotal) setTotal(lineTotal, unitPrice * quantity, quantity !== initialQuantity);
+    });
+
+    this.querySelectorAll('[data-cart-subtotal]').forEach((el) => {
+      setTotal(el, parseInt(el.dataset.cartSubtotal, 10) + subtotalDelta, subtotalDelta !== 0);
+    });
+  }
+
+  /**
+   * Restores quantities and totals to the last state confirmed by the server.
+   * @param {Array} items - Cart items included in the rejected change.
+   * @param {string} message - Error message to show on each item.
+   */
+  rollbackQuantities(items, message) {
+    this.querySelectorAll('.cart-item__quantity-input').forEach((el) => {
+      el.value = el.dataset.initialValue;
+    });
+    this.querySelectorAll('.merge-item-refreshing').forEach((el) => el.classList.remove('merge-item-refreshing'));
+    this.updateOptimisticTotals();
+    items.forEach((item) => {
+      CartForm.setItemError(item, message || theme.strings.cartItemsUpdateError);
+
+      // The removal did not happen, so there is nothing to undo
+      const undoRow = item.closest('[data-merge-list-item]').nextElementSibling;
+      if (undoRow && undoRow.matches('.cart-item-undo')) {
+        clearTimeout(undoRow.dismissTimeout);
+        undoRow.remove();
+      }
+    });
+    this.updateUndoState();
+  }
+
+  /**
+   * Shows or clears the inline error message on a cart item.
+   * @param {Element} item - Cart item element.
+   * @param {?string} message - Message to show, or null to clear.
+   */
+  static setItemError(item, message) {
+    const errorEl = item.querySelector('.cart-item__error');
+    if (!errorEl) return;
+
+    errorEl.textContent = message || '';
+    errorEl.hidden = !message;
+  }
+
+  /**
+   * Formats a price in the format used for cart totals.
+   * @param {number} cents - Amount in cents.
+   * @returns {string}
+   */
+  static formatMoney(cents) {
+    return theme.formatMoney(cents, theme.settings.cartCurrencyCodeEnabled
+      ? theme.settings.moneyWithCurrencyFormat : theme.settings.moneyFormat);
+  }
 };
 
 window.customElements.define('cart-form', CartForm);
 
 const CCCartCrossSell = class extends HTMLElement {
+  constructor() {
+    super();
+    theme.addDelegateEventListener(this, 'click', '.cart-cross-sell-item__add', CCCartCrossSell.handleQuickAdd);
+  }
+
   init() {
     this.productList = this.querySelector('.product-grid');
+    const cart = theme.cart.get();
+    const cartProductIds = cart ? cart.items.map((item) => item.product_id) : [];
+
+    if (this.dataset.url) {
+      this.loadRecommendations(cartProductIds);
+    } else {
+      // Fixed product list: hide anything that's already in the cart
+      this.querySelectorAll('.product-block[data-product-id]').forEach((el) => {
+        const item = el.closest('.slider__item');
+        if (item) item.hidden = cartProductIds.includes(Number(el.dataset.productId));
+      });
+      this.querySelectorAll('carousel-slider').forEach((el) => el.refresh());
+    }
+  }
+
+  /**
+   * Fetches recommendations for each product in the cart, then shows the best matches.
+   * Products recommended for several cart items, or near the top of a list, rank higher.
+   * @param {Array<number>} cartProductIds - Ids of the products in the cart.
+   */
+  loadRecommendations(cartProductIds) {
+    // Limit the number of requests for large carts
+    const sourceIds = [...new Set(cartProductIds)].slice(0, 4);
+    const requestKey = sourceIds.join(',');
+    if (requestKey === this.requestKey) return;
+    this.requestKey = requestKey;
+
+    if (!sourceIds.length) {
+      this.classList.add('hidden');
+      return;
+    }
 
-    if (this.dataset.from) {
-      fetch(this.dataset.from)
+    const limit = Number(this.dataset.limit) || 8;
+    Promise.all(sourceIds.map((productId) => {
+      const url = new URL(this.dataset.url, window.location.href);
+      url.searchParams.set('limit', limit);
+      url.searchParams.set('product_id', productId);
+      return fetch(url)
         .then((response) => {
           if (!response.ok) {
             throw new Error(`HTTP error! Status: ${response.status}`);
           }
           return response.text();
         })
-        .then((response) => {
-          const frag = document.createDocumentFragment();
-          const newContent = document.createElement('div');
-          frag.appendChild(newContent);
-          newContent.innerHTML = response;
-
-          const pl = newContent.querySelector('.product-grid');
-          if (pl) {
-            this.productList.innerHTML = pl.innerHTML;
-            this.querySelectorAll('.product-block').forEach((el) => el.classList.add('slider__item'));
-            this.querySelectorAll('carousel-slider').forEach((el) => el.refresh());
-          } else {
-            this.classList.add('hidden');
-          }
+        .catch(() => '');
+    })).then((responses) => {
+      // Ignore responses for a cart that has since changed
+      if (requestKey !== this.requestKey) return;
+
+      const ranked = new Map();
+      responses.forEach((response) => {
+        const newContent = document.createElement('div');
+        newContent.innerHTML = response;
+        const items = newContent.querySelectorAll('.cart-cross-sell-item');
+        items.forEach((item, index) => {
+          const productId = Number(item.dataset.productId);
+          if (cartProductIds.includes(productId)) return;
+
+          const entry = ranked.get(productId) || { item, score: 0 };
+          entry.score += items.length - index;
+          ranked.set(productId, entry);
         });
-    }
+      });
+
+      const results = Array.from(ranked.values())
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      this.classList.toggle('hidden', !results.length);
+      this.productList.innerHTML = '';
+      results.forEach(({ item }) => {
+        item.classList.add('slider__item');
+        this.productList.appendChild(item);
+      });
+      this.querySelectorAll('carousel-slider').forEach((el) => el.refresh());
+    });
+  }
+
+  /**
+   * Adds a recommended product to the cart.
+   * @param {object} evt - Event object.
+   * @param {Element} button - Quick add button.
+   */
+  static handleQuickAdd(evt, button) {
+    button.disabled = true;
+    button.classList.add('is-loading');
+
+    theme.cart.add([{ id: Number(button.dataset.variantId), quantity: 1 }])
+      .catch((error) => {
+        theme.showQuickPopup(error.message, button);
+      })
+      .finally(() => {
+        button.disabled = false;
+        button.classList.remove('is-loading');
+      });
   }
 };
 
@@ -36,6 +36,8 @@ if (!customElements.get('price-range')) {
       this.controls.min.barControl.setAttribute('aria-valuenow', this.controls.min.value);
       this.controls.max.barControl.setAttribute('role', 'slider');
       this.controls.max.barControl.setAttribute('aria-valuenow', this.controls.max.value);
+      PriceRange.setValueText(this.controls.min);
+      PriceRange.setValueText(this.controls.max);
 
       this.bar = this.querySelector(this.selectors.bar);
       this.activeBar = this.querySelector(this.selectors.activeBar);
@@ -90,6 +92,15 @@ if (!customElements.get('price-range')) {
 
       // a11y
       this.activeControl.barControl.setAttribute('aria-valuenow', this.activeControl.value);
+      PriceRange.setValueText(this.activeControl);
+    }
+
+    /**
+     * Sets the value of a slider control as a formatted price, for assistive technology.
+     * @param {object} control - Min or max control.
+     */
+    static setValueText(control) {
+      control.barControl.setAttribute('aria-valuetext', theme.formatMoney(control.value * 100));
     }
 
     render() {
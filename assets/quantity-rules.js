@@ -0,0 +1,157 @@
+/**
+ * Required translation strings:
+ * - quantityRules
+ * - volumePricingMinimum
+ */
+
+if (!customElements.get('quantity-rules')) {
+  class QuantityRules extends HTMLElement {
+    constructor() {
+      super();
+      this.data = JSON.parse(this.querySelector('[type="application/json"]').textContent);
+      this.variantId = this.dataset.variantId;
+      this.section = this.closest('.js-product') || this.closest('form');
+      this.form = this.closest('form');
+      this.quantityInput = this.form ? this.form.querySelector('[name="quantity"]') : null;
+      this.info = this.querySelector('.quantity-rules__info');
+      this.volumePricing = this.querySelector('.volume-pricing');
+      this.tableBody = this.querySelector('.volume-pricing__body');
+      this.moneyFormat = theme.settings.productCurrencyCodeEnabled
+        ? theme.settings.moneyWithCurrencyFormat : theme.settings.moneyFormat;
+
+      this.variantChangeHandler = this.handleVariantChange.bind(this);
+      this.quantityChangeHandler = this.handleQuantityChange.bind(this);
+    }
+
+    connectedCallback() {
+      this.section.addEventListener('on:variant:change', this.variantChangeHandler);
+      if (this.quantityInput) {
+        this.quantityInput.addEventListener('change', this.quantityChangeHandler);
+      }
+      this.render();
+    }
+
+    disconnectedCallback() {
+      this.section.removeEventListener('on:variant:change', this.variantChangeHandler);
+      if (this.quantityInput) {
+        this.quantityInput.removeEventListener('change', this.quantityChangeHandler);
+      }
+    }
+
+    /**
+     * Gets the quantity rule and volume pricing of the selected variant.
+     * @returns {?object}
+     */
+    getVariantData() {
+      return this.data[this.variantId] || null;
+    }
+
+    /**
+     * Gets the quantity currently entered.
+     * @returns {number}
+     */
+    getQuantity() {
+      return this.quantityInput ? parseInt(this.quantityInput.value, 10) || 0 : 1;
+    }
+
+    /**
+     * Handles 'on:variant:change' events, fitting the quantity to the new variant's rule.
+     * @param {object} evt - Event object.
+     */
+    handleVariantChange(evt) {
+      if (!evt.detail.variant) return;
+      this.variantId = evt.detail.variant.id;
+
+      const variantData = this.getVariantData();
+      if (variantData && this.quantityInput) {
+        this.quantityInput.value = theme.applyQuantityRule(this.getQuantity(), variantData).quantity;
+      }
+      this.render();
+    }
+
+    /**
+     * Fits an entered quantity to the rule, explaining any change, and updates the prices.
+     */
+    handleQuantityChange() {
+      const variantData = this.getVariantData();
+      if (!variantData) return;
+
+      const quantity = this.getQuantity();
+      const result = theme.applyQuantityRule(quantity, variantData);
+      if (result.quantity !== quantity) {
+        this.quantityInput.value = result.quantity;
+        if (result.message) theme.showQuickPopup(result.message, this.quantityInput);
+      }
+      this.updatePrices();
+    }
+
+    /**
+     * Renders the rules and volume pricing table for the selected variant.
+     */
+    render() {
+      const variantData = this.getVariantData();
+      if (!variantData) return;
+
+      if (this.quantityInput) {
+        this.quantityInput.min = variantData.min;
+        this.quantityInput.step = variantData.increment;
+        if (variantData.max) {
+          this.quantityInput.max = variantData.max;
+        } else {
+          this.quantityInput.removeAttribute('max');
+        }
+      }
+
+      const rules = [];
+      if (variantData.increment > 1) rules.push(['increment', variantData.increment]);
+      if (variantData.min > 1) rules.push(['min', variantData.min]);
+      if (variantData.max) rules.push(['max', variantData.max]);
+      this.info.innerHTML = rules.map(([type, quantity]) => `<span>${theme.strings.quantityRules[type].replace('[QUANTITY]', quantity)}</span>`).join('');
+      this.info.hidden = !rules.length;
+
+      this.tableBody.innerHTML = QuantityRules.getTiers(variantData).map((tier) => `
+        <tr class="volume-pricing__row">
+          <td>${theme.strings.volumePricingMinimum.replace('[QUANTITY]', tier.minimumQuantity)}</td>
+          <td class="theme-money">${theme.formatMoney(tier.price, this.moneyFormat)}</td>
+        </tr>`).join('');
+      this.volumePricing.hidden = !variantData.priceBreaks.length;
+
+      this.updatePrices();
+    }
+
+    /**
+     * Highlights the tier that applies to the entered quantity, and shows its unit price.
+     */
+    updatePrices() {
+      const variantData = this.getVariantData();
+      if (!variantData || !variantData.priceBreaks.length) return;
+
+      const quantity = this.getQuantity();
+      const price = theme.getVolumePrice(quantity, variantData.priceBreaks, variantData.price);
+      const tiers = QuantityRules.getTiers(variantData);
+      let activeIndex = 0;
+      tiers.forEach((tier, index) => {
+        if (quantity >= tier.minimumQuantity) activeIndex = index;
+      });
+      this.tableBody.querySelectorAll('.volume-pricing__row').forEach((row, index) => {
+        row.classList.toggle('volume-pricing__row--active', index === activeIndex);
+      });
+
+      const priceCurrentEl = this.section.querySelector('.product-info__price .price__current');
+      if (priceCurrentEl) priceCurrentEl.innerHTML = theme.formatMoney(price, this.moneyFormat);
+    }
+
+    /**
+     * Gets the rows of the volume pricing table, starting with the price below the first break.
+     * @param {object} variantData - Variant quantity rule and volume pricing.
+     * @returns {Array<object>}
+     */
+    static getTiers(variantData) {
+      const priceBreaks = variantData.priceBreaks.slice()
+        .sort((a, b) => a.minimumQuantity - b.minimumQuantity);
+      return [{ minimumQuantity: variantData.min, price: variantData.price }, ...priceBreaks];
+    }
+  }
+
+  customElements.define('quantity-rules', QuantityRules);
+}
@@ -0,0 +1,270 @@
+/* global CartForm */
+if (!customElements.get('saved-for-later')) {
+  theme.savedForLater = (() => {
+    const storageKey = 'theme-saved-for-later';
+    const products = new Map();
+
+    /**
+     * Gets the saved items from localStorage.
+     * @returns {Array} Saved items.
+     */
+    const get = () => {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    const dispatchChange = () => {
+      document.dispatchEvent(new CustomEvent('on:saved-for-later:change', {
+        bubbles: true,
+        detail: { items: get() }
+      }));
+    };
+
+    /**
+     * Stores the saved items and notifies any lists on the page.
+     * @param {Array} items - Saved items.
+     */
+    const set = (items) => {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(items));
+      } catch (error) {
+        // eslint-disable-next-line no-console
+        console.log(error);
+      }
+      dispatchChange();
+    };
+
+    // Keep lists in other tabs up to date
+    window.addEventListener('storage', (evt) => {
+      if (evt.key === storageKey) dispatchChange();
+    });
+
+    return {
+      get,
+
+      /**
+       * Saves a cart line. Lines with the same variant and properties are combined.
+       * @param {object} line - Line item, as returned by '/cart.js'.
+       */
+      add: (line) => {
+        const properties = line.properties || {};
+        const key = `${line.variant_id}|${JSON.stringify(properties)}`;
+        const items = get();
+        const existing = items.find((item) => item.key === key);
+
+        if (existing) {
+          existing.quantity += line.quantity;
+        } else {
+          items.unshift({
+            key,
+            id: line.variant_id,
+            handle: line.handle,
+            quantity: line.quantity,
+            properties,
+            sellingPlan: line.selling_plan_allocation
+              ? line.selling_plan_allocation.selling_plan.id : null,
+            title: line.product_title,
+            variantTitle: line.product_has_only_default_variant ? null : line.variant_title,
+            url: line.url,
+            image: line.image,
+            price: line.final_price
+          });
+        }
+        set(items);
+      },
+
+      /**
+       * Removes an item from the saved list.
+       * @param {string} key - Saved item key.
+       */
+      remove: (key) => {
+        set(get().filter((item) => item.key !== key));
+      },
+
+      /**
+       * Gets the current product data for a handle, fetching it once per page load.
+       * @param {string} handle - Product handle.
+       * @returns {Promise<?object>} Product, or null if it no longer exists.
+       */
+      fetchProduct: (handle) => {
+        if (!products.has(handle)) {
+          products.set(handle, fetch(`${window.Shopify.routes.root}products/${handle}.js`)
+            .then((response) => {
+              if (response.status === 404) return null;
+              if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+              return response.json();
+            })
+            .catch((error) => {
+              // Try again next time
+              products.delete(handle);
+              throw error;
+            }));
+        }
+        return products.get(handle);
+      }
+    };
+  })();
+
+  // Save for later links on cart items
+  theme.addDelegateEventListener(document, 'click', '.cart-item__save-for-later', (evt) => {
+    evt.preventDefault();
+
+    const item = evt.target.closest('.cart-item');
+    const { key } = item.querySelector('.cart-item__quantity-input').dataset;
+    const cart = theme.cart.get();
+    const line = cart && cart.items.find((cartItem) => cartItem.key === key);
+    if (!line) return;
+
+    const listItem = item.closest('[data-merge-list-item]');
+    listItem.classList.add('merge-item-refreshing');
+    CartForm.setItemError(item, null);
+
+    theme.cart.change({ id: key, quantity: 0 })
+      .then(() => theme.savedForLater.add(line))
+      .catch((error) => {
+        listItem.classList.remove('merge-item-refreshing');
+        CartForm.setItemError(item, error.message);
+      });
+  });
+
+  class SavedForLater extends HTMLElement {
+    constructor() {
+      super();
+      this.list = this.querySelector('.saved-for-later__list');
+      this.template = this.querySelector('.saved-for-later__template');
+      this.boundRender = this.render.bind(this);
+
+      theme.addDelegateEventListener(this, 'click', '.saved-for-later__move', (evt) => {
+        this.moveToCart(evt.target.closest('.saved-for-later__item'));
+      });
+
+      theme.addDelegateEventListener(this, 'click', '.saved-for-later__remove', (evt) => {
+        theme.savedForLater.remove(evt.target.closest('.saved-for-later__item').dataset.key);
+      });
+    }
+
+    connectedCallback() {
+      document.addEventListener('on:saved-for-later:change', this.boundRender);
+      this.render();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('on:saved-for-later:change', this.boundRender);
+    }
+
+    /**
+     * Renders the saved items, then checks they can still be bought.
+     */
+    render() {
+      const items = theme.savedForLater.get();
+      this.hidden = !items.length;
+      this.list.innerHTML = '';
+
+      items.forEach((savedItem) => {
+        const el = this.template.content.firstElementChild.cloneNode(true);
+        el.dataset.key = savedItem.key;
+
+        el.querySelectorAll('a').forEach((link) => { link.href = savedItem.url; });
+        el.querySelector('.saved-for-later__item-title').textContent = savedItem.title;
+
+        const image = el.querySelector('img');
+        if (savedItem.image) {
+          const url = new URL(savedItem.image, window.location.href);
+          url.searchParams.set('width', 200);
+          image.src = url.toString();
+          image.alt = savedItem.title;
+        } else {
+          image.remove();
+        }
+
+        const variant = el.querySelector('.saved-for-later__variant');
+        if (savedItem.variantTitle) {
+          variant.textContent = savedItem.variantTitle;
+        } else {
+          variant.remove();
+        }
+
+        const properties = el.querySelector('.saved-for-later__properties');
+        Object.entries(savedItem.properties).forEach(([name, value]) => {
+          if (!value || name.startsWith('_')) return;
+          const property = document.createElement('div');
+          property.className = 'line-item-property';
+          property.textContent = `${name}: ${value}`;
+          properties.appendChild(property);
+        });
+
+        el.querySelector('.saved-for-later__price').textContent = CartForm.formatMoney(savedItem.price);
+        this.list.appendChild(el);
+        this.validateItem(el, savedItem);
+      });
+    }
+
+    /**
+     * Checks a saved item is still available and updates its price.
+     * @param {Element} el - Saved item element.
+     * @param {object} savedItem - Saved item data.
+     */
+    validateItem(el, savedItem) {
+      const moveBtn = el.querySelector('.saved-for-later__move');
+      moveBtn.disabled = true;
+
+      theme.savedForLater.fetchProduct(savedItem.handle).then((product) => {
+        const variant = product && product.variants.find((v) => v.id === savedItem.id);
+        const status = el.querySelector('.saved-for-later__status');
+
+        if (!variant) {
+          status.textContent = theme.strings.noVariant;
+          status.hidden = false;
+        } else if (!variant.available) {
+          status.textContent = theme.strings.noStock;
+          status.hidden = false;
+        } else {
+          moveBtn.disabled = false;
+        }
+
+        if (variant) {
+          el.querySelector('.saved-for-later__price').textContent = CartForm.formatMoney(variant.price);
+        }
+      }).catch(() => {
+        // Let the cart decide if availability could not be checked
+        moveBtn.disabled = false;
+      });
+    }
+
+    /**
+     * Adds a saved item back to the cart and removes it from the list.
+     * @param {Element} el - Saved item element.
+     */
+    moveToCart(el) {
+      const savedItem = theme.savedForLater.get().find((item) => item.key === el.dataset.key);
+      if (!savedItem) return;
+
+      const status = el.querySelector('.saved-for-later__status');
+      const moveBtn = el.querySelector('.saved-for-later__move');
+      status.hidden = true;
+      moveBtn.disabled = true;
+      el.classList.add('saved-for-later__item--loading');
+
+      const line = {
+        id: savedItem.id,
+        quantity: savedItem.quantity,
+        properties: savedItem.properties
+      };
+      if (savedItem.sellingPlan) line.selling_plan = savedItem.sellingPlan;
+
+      theme.cart.add([line])
+        .then(() => theme.savedForLater.remove(savedItem.key))
+        .catch((error) => {
+          el.classList.remove('saved-for-later__item--loading');
+          status.textContent = error.message;
+          status.hidden = false;
+          moveBtn.disabled = false;
+        });
+    }
+  }
+
+  customElements.define('saved-for-later', SavedForLater);
+}
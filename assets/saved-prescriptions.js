@@ -0,0 +1,333 @@
+/**
+ * Required translation strings:
+ * - savedPrescriptions
+ */
+
+if (!theme.savedPrescriptions) {
+  theme.savedPrescriptions = (() => {
+    const dataEl = document.getElementById('SavedPrescriptionsJson');
+    const config = dataEl ? JSON.parse(dataEl.textContent) : {};
+    const storageKey = 'theme-saved-prescriptions';
+    // Signed-in customers' prescriptions are kept in a customer metafield, through the endpoint, and
+    // never in the browser, which may be shared
+    const useEndpoint = !!config.customerId;
+    const expiryWarningDays = 30;
+    const subscribers = [];
+    const dateFormatter = new Intl.DateTimeFormat(document.documentElement.lang || 'en', { dateStyle: 'medium', timeZone: 'UTC' });
+
+    const readLocal = () => {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey)) || [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    const writeLocal = (list) => {
+      try {
+        localStorage.setItem(storageKey, JSON.stringify(list));
+      } catch (error) {
+        // Storage unavailable, prescriptions are kept until the page is left
+      }
+    };
+
+    const accountPrescriptions = Array.isArray(config.prescriptions) ? config.prescriptions : [];
+    let prescriptions = useEndpoint ? accountPrescriptions : readLocal();
+
+    /**
+     * Stores the list of prescriptions and notifies subscribers.
+     * @param {Array<object>} list - Saved prescriptions.
+     * @returns {Promise<Array<object>>}
+     */
+    const persist = (list) => {
+      const saved = useEndpoint
+        ? fetch(config.endpoint, {
+          method: 'POST',
+          body: JSON.stringify({ prescriptions: list }),
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json'
+          }
+        }).then((response) => {
+          if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+        })
+        : Promise.resolve();
+
+      return saved.then(() => {
+        prescriptions = list;
+        if (!useEndpoint) writeLocal(list);
+        subscribers.forEach((callback) => callback(prescriptions));
+        return prescriptions;
+      });
+    };
+
+    /**
+     * Gets an expiry date ('YYYY-MM-DD') as a UTC date.
+     * @param {string} value - Date string.
+     * @returns {?Date}
+     */
+    const parseDate = (value) => {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+      return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+    };
+
+    return {
+      /**
+       * Gets the saved prescriptions.
+       * @returns {Array<object>} Prescriptions, e.g. [{ id, name, expires: '2026-05-31',
+       *   values: { 'OD SPH': '-1.25' } }].
+       */
+      getAll: () => prescriptions,
+
+      /**
+       * Gets a saved prescription.
+       * @param {string} id - Prescription id.
+       * @returns {?object}
+       */
+      get: (id) => prescriptions.find((prescription) => prescription.id === id) || null,
+
+      /**
+       * Registers a callback to be called whenever the saved prescriptions change.
+       * @param {Function} callback - Called with the saved prescriptions.
+       * @returns {Function} Function that removes the subscription.
+       */
+      subscribe: (callback) => {
+        subscribers.push(callback);
+        return () => {
+          const index = subscribers.indexOf(callback);
+          if (index > -1) subscribers.splice(index, 1);
+        };
+      },
+
+      /**
+       * Saves a new prescription, or updates one with the same id.
+       * @param {object} prescription - Prescription, e.g. { name, expires, values }.
+       * @returns {Promise<object>} The saved prescription.
+       */
+      save: (prescription) => {
+        const saved = {
+          ...prescription,
+          id: prescription.id || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+          updatedAt: new Date().toISOString()
+        };
+        const exists = prescriptions.some((item) => item.id === saved.id);
+        const list = exists
+          ? prescriptions.map((item) => (item.id === saved.id ? saved : item))
+          : [...prescriptions, saved];
+        return persist(list).then(() => saved);
+      },
+
+      /**
+       * Deletes a saved prescription.
+       * @param {string} id - Prescription id.
+       * @returns {Promise<Array<object>>}
+       */
+      remove: (id) => persist(prescriptions.filter((prescription) => prescription.id !== id)),
+
+      /**
+       * Formats the expiry date of a prescription.
+       * @param {object} prescription - Saved prescription.
+       * @returns {string} Formatted date, or an empty string if there is none.
+       */
+      formatExpiry: (prescription) => {
+        const expires = parseDate(prescription.expires);
+        return expires ? dateFormatter.format(expires) : '';
+      },
+
+      /**
+       * Checks whether a prescription has expired, or expires soon.
+       * @param {object} prescription - Saved prescription.
+       * @returns {?string} 'expired', 'expiring' or null.
+       */
+      getExpiryStatus: (prescription) => {
+        const expires = parseDate(prescription.expires);
+        if (!expires) return null;
+
+        const now = new Date();
+        const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+        const daysLeft = (expires.getTime() - today) / 86400000;
+        if (daysLeft < 0) return 'expired';
+        return daysLeft <= expiryWarningDays ? 'expiring' : null;
+      },
+
+      /**
+       * Gets the warning to show for an expired or soon to expire prescription.
+       * @param {object} prescription - Saved prescription.
+       * @returns {string} Warning, or an empty string if the prescription is current.
+       */
+      getExpiryWarning: (prescription) => {
+        const status = theme.savedPrescriptions.getExpiryStatus(prescription);
+        if (!status) return '';
+
+        const message = status === 'expired'
+          ? theme.strings.savedPrescriptions.expiredWarning
+          : theme.strings.savedPrescriptions.expiringWarning;
+        return message.replace('[DATE]', theme.savedPrescriptions.formatExpiry(prescription));
+      }
+    };
+  })();
+}
+
+if (!customElements.get('saved-prescriptions')) {
+  class SavedPrescriptions extends HTMLElement {
+    constructor() {
+      super();
+      this.list = this.querySelector('.saved-prescriptions__list');
+      this.empty = this.querySelector('.saved-prescriptions__empty');
+      this.itemTemplate = this.querySelector('.saved-prescriptions__item-template');
+      this.fieldTemplate = this.querySelector('.saved-prescriptions__field-template');
+      // Ranges of the prescription fields, as used by the lens configurator
+      this.fieldRules = JSON.parse(this.querySelector('[type="application/json"]').textContent);
+
+      theme.addDelegateEventListener(this, 'click', '.saved-prescriptions__edit', (evt, el) => SavedPrescriptions.toggleForm(el.closest('.saved-prescriptions__item'), true));
+      theme.addDelegateEventListener(this, 'click', '.saved-prescriptions__cancel', (evt, el) => SavedPrescriptions.toggleForm(el.closest('.saved-prescriptions__item'), false));
+      theme.addDelegateEventListener(this, 'click', '.saved-prescriptions__delete', SavedPrescriptions.handleDelete);
+      this.addEventListener('submit', this.handleSubmit.bind(this));
+    }
+
+    connectedCallback() {
+      this.unsubscribe = theme.savedPrescriptions.subscribe(this.render.bind(this));
+      this.render(theme.savedPrescriptions.getAll());
+    }
+
+    disconnectedCallback() {
+      if (this.unsubscribe) this.unsubscribe();
+    }
+
+    /**
+     * Lists the saved prescriptions, soonest to expire first.
+     * @param {Array<object>} prescriptions - Saved prescriptions.
+     */
+    render(prescriptions) {
+      const sorted = [...prescriptions].sort((a, b) => (a.expires || '9999').localeCompare(b.expires || '9999'));
+      this.list.innerHTML = '';
+      this.empty.hidden = sorted.length > 0;
+      sorted.forEach((prescription) => this.list.appendChild(this.renderItem(prescription)));
+    }
+
+    /**
+     * Creates the list item of a saved prescription, with its edit form.
+     * @param {object} prescription - Saved prescription.
+     * @returns {Element}
+     */
+    renderItem(prescription) {
+      const item = this.itemTemplate.content.firstElementChild.cloneNode(true);
+      const status = theme.savedPrescriptions.getExpiryStatus(prescription);
+      const warning = item.querySelector('.saved-prescriptions__warning');
+      const expiry = item.querySelector('.saved-prescriptions__expiry');
+      const values = item.querySelector('.saved-prescriptions__values');
+      const form = item.querySelector('.saved-prescriptions__form');
+      const fields = form.querySelector('.saved-prescriptions__fields');
+
+      item.dataset.id = prescription.id;
+      item.classList.toggle('saved-prescriptions__item--expired', status === 'expired');
+      item.querySelector('.saved-prescriptions__name').textContent = prescription.name;
+      expiry.textContent = prescription.expires
+        ? theme.strings.savedPrescriptions.expires.replace('[DATE]', theme.savedPrescriptions.formatExpiry(prescription))
+        : '';
+      warning.textContent = theme.savedPrescriptions.getExpiryWarning(prescription);
+      warning.hidden = !status;
+
+      Object.entries(prescription.values || {}).forEach(([name, value], index) => {
+        const row = document.createElement('div');
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = name;
+        description.textContent = value;
+        row.append(term, description);
+        values.appendChild(row);
+
+        const field = this.fieldTemplate.content.firstElementChild.cloneNode(true);
+        const label = field.querySelector('label');
+        const input = field.querySelector('input');
+        // Values are named after the field, e.g. 'OD SPH' or 'PD'
+        const rule = this.fieldRules[name.split(' ').pop().toLowerCase()];
+        input.id = `SavedPrescription-${prescription.id}-${index}`;
+        input.name = name;
+        input.value = value;
+        if (rule) {
+          input.min = rule.min;
+          input.max = rule.max;
+          input.step = rule.step;
+        } else {
+          input.step = 'any';
+        }
+        label.htmlFor = input.id;
+        label.textContent = name;
+        fields.appendChild(field);
+      });
+
+      form.elements.name.value = prescription.name;
+      form.elements.expires.value = prescription.expires || '';
+      return item;
+    }
+
+    /**
+     * Shows or hides the edit form of a saved prescription.
+     * @param {Element} item - List item of the prescription.
+     * @param {boolean} show - Show the form.
+     */
+    static toggleForm(item, show) {
+      const form = item.querySelector('.saved-prescriptions__form');
+      const summary = item.querySelector('.saved-prescriptions__summary');
+      form.hidden = !show;
+      summary.hidden = show;
+      if (show) {
+        form.elements.name.focus();
+      } else {
+        item.querySelector('.saved-prescriptions__edit').focus();
+      }
+    }
+
+    /**
+     * Saves the changes made to a prescription.
+     * @param {object} evt - Event object.
+     */
+    handleSubmit(evt) {
+      const form = evt.target.closest('.saved-prescriptions__form');
+      if (!form) return;
+      evt.preventDefault();
+
+      const { id } = form.closest('.saved-prescriptions__item').dataset;
+      const prescription = theme.savedPrescriptions.get(id);
+      const values = {};
+      form.querySelectorAll('.saved-prescriptions__fields input').forEach((input) => {
+        if (input.value !== '') values[input.name] = input.value;
+      });
+
+      const error = form.querySelector('.saved-prescriptions__error');
+      error.hidden = true;
+      theme.savedPrescriptions.save({
+        ...prescription,
+        name: form.elements.name.value.trim(),
+        expires: form.elements.expires.value,
+        values
+      }).then(() => {
+        // The list is rendered again once saved
+        const item = this.list.querySelector(`[data-id="${CSS.escape(id)}"]`);
+        if (item) item.querySelector('.saved-prescriptions__edit').focus();
+      }).catch(() => {
+        error.textContent = theme.strings.savedPrescriptions.saveError;
+        error.hidden = false;
+      });
+    }
+
+    /**
+     * Deletes a prescription, once confirmed.
+     * @param {object} evt - Event object.
+     * @param {Element} el - Delete button.
+     */
+    static handleDelete(evt, el) {
+      const { id } = el.closest('.saved-prescriptions__item').dataset;
+      const prescription = theme.savedPrescriptions.get(id);
+      // eslint-disable-next-line no-alert
+      if (!prescription || !window.confirm(theme.strings.savedPrescriptions.deleteConfirm.replace('[NAME]', prescription.name))) return;
+
+      theme.savedPrescriptions.remove(id).catch(() => {
+        theme.showQuickPopup(theme.strings.savedPrescriptions.saveError, el);
+      });
+    }
+  }
+
+  customElements.define('saved-prescriptions', SavedPrescriptions);
+}
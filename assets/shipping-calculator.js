@@ -1,4 +1,8 @@
 if (!customElements.get('shipping-calculator')) {
+  // Time between checks for calculated rates, and how long to wait for them (ms)
+  const ratesPollInterval = 500;
+  const ratesPollTimeout = 15000;
+
   class ShippingCalculator extends HTMLElement {
     constructor() {
       super();
@@ -8,6 +12,14 @@ if (!customElements.get('shipping-calculator')) {
       this.button.addEventListener('click', this.handleSubmit.bind(this));
     }
 
+    connectedCallback() {
+      this.unsubscribeFromCart = theme.cart.subscribe(this.handleCartChange.bind(this));
+    }
+
+    disconnectedCallback() {
+      if (this.unsubscribeFromCart) this.unsubscribeFromCart();
+    }
+
     init() {
       this.country = this.querySelector('.js-country-select');
       this.province = this.querySelector('.js-province-select');
@@ -26,28 +38,128 @@ if (!customElements.get('shipping-calculator')) {
 
       this.errors.hidden = true;
       this.rates.hidden = true;
-      this.button.disabled = true;
-      this.button.classList.add('is-loading');
+      this.setLoading(true);
 
-      const params = `shipping_address[zip]=${this.zip.value}&shipping_address[country]=${this.country.value}&shipping_address[province]=${this.province.value}`;
+      const params = new URLSearchParams({
+        'shipping_address[zip]': this.zip.value.trim(),
+        'shipping_address[country]': this.country.value,
+        'shipping_address[province]': this.province.value
+      }).toString();
 
       try {
-        const response = await fetch(`${theme.routes.cart}/shipping_rates.json?${params}`);
-        const data = await response.json();
+        let data = ShippingCalculator.getCachedRates(params);
+        if (!data) {
+          data = await ShippingCalculator.fetchRates(params);
+          if (data.shipping_rates) ShippingCalculator.setCachedRates(params, data);
+        }
 
-        if (response.ok) {
+        if (data.shipping_rates) {
           this.showRates(data);
         } else {
           this.showErrors(data);
         }
       } catch (error) {
         console.log(error); // eslint-disable-line
+        this.showErrors({ error: error.message });
       } finally {
-        this.button.classList.remove('is-loading');
-        this.button.disabled = false;
+        this.setLoading(false);
+      }
+    }
+
+    /**
+     * Toggles the loading state of the calculator.
+     * @param {boolean} loading - Are rates being calculated?
+     */
+    setLoading(loading) {
+      this.button.disabled = loading;
+      this.button.classList.toggle('is-loading', loading);
+      this.setAttribute('aria-busy', loading);
+    }
+
+    /**
+     * Asks Shopify to calculate rates for an address, then polls until they are ready.
+     * Carrier-calculated rates can take a few seconds to come back.
+     * @param {string} params - Shipping address query string.
+     * @returns {Promise<object>} Response data, with 'shipping_rates' on success or errors otherwise.
+     */
+    static async fetchRates(params) {
+      const prepareResponse = await fetch(`${theme.routes.cart}/prepare_shipping_rates.json?${params}`, {
+        method: 'POST'
+      });
+
+      if (!prepareResponse.ok) {
+        return prepareResponse.json();
+      }
+
+      const timeoutAt = Date.now() + ratesPollTimeout;
+      while (Date.now() < timeoutAt) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await fetch(`${theme.routes.cart}/async_shipping_rates.json?${params}`);
+
+        // 202 means the rates are still being calculated
+        if (response.status !== 202) {
+          // eslint-disable-next-line no-await-in-loop
+          const data = await response.json();
+          if (!response.ok || data.shipping_rates !== null) return data;
+        }
+
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => { setTimeout(resolve, ratesPollInterval); });
+      }
+
+      throw new Error(theme.strings.shippingCalculator.timeout);
+    }
+
+    /**
+     * Gets the key rates are cached under. Rates depend on the cart contents as well as the address.
+     * @param {string} params - Shipping address query string.
+     * @returns {string}
+     */
+    static getCacheKey(params) {
+      const cart = theme.cart.get();
+      const cartKey = cart ? cart.items.map((item) => `${item.key}:${item.quantity}`).join(',') : '';
+      return `shipping-rates:${params}|${cartKey}`;
+    }
+
+    /**
+     * Gets rates calculated earlier in the session for an address.
+     * @param {string} params - Shipping address query string.
+     * @returns {?object} Response data, or null if not cached.
+     */
+    static getCachedRates(params) {
+      try {
+        return JSON.parse(sessionStorage.getItem(ShippingCalculator.getCacheKey(params)));
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Caches rates for an address for the rest of the session.
+     * @param {string} params - Shipping address query string.
+     * @param {object} data - Response data.
+     */
+    static setCachedRates(params, data) {
+      try {
+        sessionStorage.setItem(ShippingCalculator.getCacheKey(params), JSON.stringify(data));
+      } catch (error) {
+        // Storage is full or unavailable, rates will be fetched again next time
       }
     }
 
+    /**
+     * Hides previously calculated rates when the cart contents change, as they may no longer apply.
+     * @param {object} cart - New cart state.
+     * @param {?object} previousCart - Previous cart state.
+     */
+    handleCartChange(cart, previousCart) {
+      if (!this.initialised || !previousCart) return;
+      if (cart.item_count === previousCart.item_count
+        && cart.total_price === previousCart.total_price) return;
+
+      this.rates.hidden = true;
+    }
+
     /**
      * Handles keydown event on the zip code input.
      * @param {object} evt - Event object.
@@ -73,7 +185,9 @@ if (!customElements.get('shipping-calculator')) {
         let rates = '';
 
         data.shipping_rates.forEach((rate) => {
-          const formattedRate = theme.settings.moneyWithCurrencyFormat.replace(/\{\{\s*(\w+)\s*\}\}/, rate.price);
+          // Rates are returned as decimal strings, e.g. '10.00'
+          const cents = Math.round(parseFloat(rate.price) * 100);
+          const formattedRate = theme.formatMoney(cents, theme.settings.moneyWithCurrencyFormat);
           rates += `<li>${rate.name}: ${formattedRate}</li>`;
         });
 
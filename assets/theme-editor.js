@@ -156,7 +156,10 @@ document.addEventListener('shopify:block:deselect', (evt) => {
 // Debug out custom events
 const customEvents = [
   'on:variant:change',
+  'on:cart:before-add',
   'on:cart:add',
+  'on:cart:remove',
+  'on:cart:quantity-change',
   'on:cart:error',
   'on:cart:after-merge',
   'on:cart-drawer:before-open',
@@ -168,6 +171,7 @@ const customEvents = [
   'dispatch:cart-drawer:open',
   'dispatch:cart-drawer:refresh',
   'dispatch:cart-drawer:close',
+  'dispatch:cart:add',
   'on:debounced-resize',
   'on:breakpoint-change'
 ];
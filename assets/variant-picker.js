@@ -1,6 +1,7 @@
 /**
  * Dependencies:
  * - Custom select component
+ * - Lens descriptions (optional)
  *
  * Required translation strings:
  * - addToCart
@@ -24,6 +25,7 @@ if (!customElements.get('variant-picker')) {
       this.updateAvailability();
       this.updateAddToCartButton();
       this.addEventListener('change', this.handleVariantChange.bind(this));
+      this.initLensDescriptions();
       this.applySearchParams();
 
       this.setAttribute('loaded', '');
@@ -48,6 +50,7 @@ if (!customElements.get('variant-picker')) {
       this.updatePickupAvailability();
       this.updateSku();
       this.updateBarcode();
+      this.updateLensDescriptions();
       VariantPicker.updateLabelText(evt);
 
       this.dispatchEvent(new CustomEvent('on:variant:change', {
@@ -208,6 +211,59 @@ if (!customElements.get('variant-picker')) {
       this.backorder.hidden = hideBackorder;
     }
 
+    /**
+     * Shows the description of the selected value of each option with a lens description panel,
+     * or of the value being hovered over.
+     */
+    initLensDescriptions() {
+      if (!theme.lensDescriptions || !this.querySelector('.js-lens-description')) return;
+
+      this.addEventListener('mouseover', this.handleLensDescriptionHover.bind(this));
+      this.optionSelectors.forEach((selector) => {
+        if (!selector.querySelector('.js-lens-description')) return;
+        selector.addEventListener('mouseleave', this.updateLensDescriptions.bind(this));
+      });
+      this.updateLensDescriptions();
+    }
+
+    /**
+     * Renders the description of the selected value of each option.
+     */
+    updateLensDescriptions() {
+      if (!theme.lensDescriptions) return;
+
+      this.optionSelectors.forEach((selector, index) => {
+        const panel = selector.querySelector('.js-lens-description');
+        if (panel) VariantPicker.renderLensDescription(panel, this.selectedOptions[index]);
+      });
+    }
+
+    /**
+     * Handles 'mouseover' events, previewing the description of the value hovered over.
+     * @param {object} evt - Event object.
+     */
+    handleLensDescriptionHover(evt) {
+      const option = evt.target.closest('.opt-label, .custom-select__option');
+      const panel = option && option.closest('.option-selector').querySelector('.js-lens-description');
+      if (!panel) return;
+
+      const value = option.matches('.custom-select__option')
+        ? option.dataset.value
+        : this.querySelector(`#${CSS.escape(option.htmlFor)}`).value;
+      VariantPicker.renderLensDescription(panel, value);
+    }
+
+    /**
+     * Renders the description of an option value into a panel, unless it is already shown.
+     * @param {Element} panel - Lens description panel.
+     * @param {?string} value - Option value.
+     */
+    static renderLensDescription(panel, value) {
+      if (panel.dataset.value === (value || '')) return;
+      panel.setAttribute('data-value', value || '');
+      theme.lensDescriptions.render(panel, value);
+    }
+
     /**
      * Updates the colour option label text.
      * @param {object} evt - Event object